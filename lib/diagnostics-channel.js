@@ -0,0 +1,53 @@
+/// <reference types="node" />
+import diagnosticsChannel from 'node:diagnostics_channel'
+
+/**
+ * The names of the channels that `diagnosticsChannelInstrumentation`
+ * publishes to, by the instrumentation callback that publishes to them.
+ */
+export const channels = /** @type {const} */ ({
+  onTransitionBegin: 'start-stop-state-machine:transition:begin',
+  onTransitionEnd: 'start-stop-state-machine:transition:end',
+  onTransitionError: 'start-stop-state-machine:transition:error',
+  onStateChange: 'start-stop-state-machine:state',
+})
+
+const transitionBegin = diagnosticsChannel.channel(channels.onTransitionBegin)
+const transitionEnd = diagnosticsChannel.channel(channels.onTransitionEnd)
+const transitionError = diagnosticsChannel.channel(channels.onTransitionError)
+const stateChange = diagnosticsChannel.channel(channels.onStateChange)
+
+/**
+ * Instrumentation that publishes each event to a
+ * [`node:diagnostics_channel`](https://nodejs.org/api/diagnostics_channel.html)
+ * channel (see `channels`), so that any tracer or metrics library can
+ * subscribe to them. Nothing is published to a channel with no subscribers.
+ *
+ * ```js
+ * import diagnosticsChannel from 'node:diagnostics_channel'
+ *
+ * const sm = new StartStopStateMachine({
+ *   name: 'db',
+ *   instrumentation: diagnosticsChannelInstrumentation,
+ * })
+ * diagnosticsChannel.subscribe(channels.onTransitionEnd, (event) => {
+ *   histogram.record(event.duration, { service: event.service })
+ * })
+ * ```
+ *
+ * @type {import('./state-machine.js').Instrumentation}
+ */
+export const diagnosticsChannelInstrumentation = {
+  onTransitionBegin(event) {
+    if (transitionBegin.hasSubscribers) transitionBegin.publish(event)
+  },
+  onTransitionEnd(event) {
+    if (transitionEnd.hasSubscribers) transitionEnd.publish(event)
+  },
+  onTransitionError(event) {
+    if (transitionError.hasSubscribers) transitionError.publish(event)
+  },
+  onStateChange(event) {
+    if (stateChange.hasSubscribers) stateChange.publish(event)
+  },
+}
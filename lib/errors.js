@@ -0,0 +1,140 @@
+/**
+ * The transition of the "error" state: a built-in transition, or the name of
+ * a transition from `opts.transitions`
+ *
+ * @typedef {'start' | 'stop' | 'reload' | 'pause' | 'resume' | 'health check' | 'cleanup' | 'supervision' | (string & {})} FailedTransition
+ */
+
+/**
+ * Rejected with (and set as the abort reason of the transition's signal) when
+ * `opts.start()` or `opts.stop()` take longer than the timeout for the
+ * transition. Also the error of a health check that takes longer than
+ * `opts.health.timeout`, and of `waitFor()` when it times out. Emitted as a
+ * `warning` when calls to guarded methods have not finished within
+ * `opts.drainTimeout`.
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {'start' | 'stop' | 'health check' | 'state' | 'drain'} transition
+   * @param {number} timeout Timeout in milliseconds
+   */
+  constructor(transition, timeout) {
+    super(`Timed out after ${timeout}ms waiting for ${transition}`)
+    this.name = 'TimeoutError'
+    this.transition = transition
+    this.timeout = timeout
+  }
+}
+
+/**
+ * Rejected with (and set as the abort reason of the transition's signal) when
+ * a transition is abandoned, e.g. when `stop()` is called while the service is
+ * starting, or when a call is superseded by a later call.
+ */
+export class AbortError extends Error {
+  /**
+   * @param {string} [message]
+   */
+  constructor(message = 'This operation was aborted') {
+    super(message)
+    this.name = 'AbortError'
+  }
+}
+
+/**
+ * Rejected with when a transition method is called in a state it cannot run
+ * from, e.g. `reload()` while the service is stopped.
+ */
+export class InvalidStateError extends Error {
+  /**
+   * @param {string} transition The transition that was called
+   * @param {string} state The state of the service when it was called
+   * @param {string} [message]
+   */
+  constructor(
+    transition,
+    state,
+    message = `Cannot ${transition} while ${state}`,
+  ) {
+    super(message)
+    this.name = 'InvalidStateError'
+    this.transition = transition
+    this.state = state
+  }
+}
+
+/**
+ * Rejected with when a transition method is called while another transition
+ * is in progress, and `opts.concurrency` is `'reject-while-busy'`.
+ */
+export class BusyError extends InvalidStateError {
+  /**
+   * @param {string} transition The transition that was called
+   * @param {string} state The state of the service when it was called
+   */
+  constructor(transition, state) {
+    super(transition, state)
+    this.name = 'BusyError'
+  }
+}
+
+/**
+ * The error of the "error" state when a transition fails, wrapping what
+ * `opts.start()`, `opts.stop()` etc. threw (or the `TimeoutError`, or the
+ * error from a hook) as `cause`.
+ */
+export class TransitionError extends Error {
+  /**
+   * @param {FailedTransition} transition The transition that failed
+   * @param {unknown} cause
+   */
+  constructor(transition, cause) {
+    const message = cause instanceof Error ? cause.message : String(cause)
+    super(
+      `${transition[0].toUpperCase()}${transition.slice(1)} failed: ${message}`,
+    )
+    this.name = 'TransitionError'
+    this.transition = transition
+    this.cause = cause
+  }
+}
+
+/** The error of the "error" state when `opts.start()` fails */
+export class StartError extends TransitionError {
+  /** @param {unknown} cause */
+  constructor(cause) {
+    super('start', cause)
+    this.name = 'StartError'
+  }
+}
+
+/** The error of the "error" state when `opts.stop()` fails */
+export class StopError extends TransitionError {
+  /** @param {unknown} cause */
+  constructor(cause) {
+    super('stop', cause)
+    this.name = 'StopError'
+  }
+}
+
+/**
+ * The error of the "error" state of a `Supervisor` that has given up, because
+ * a child failed again after `maxRestarts` restarts within `period`. Wraps the
+ * error of the child as `cause`.
+ */
+export class RestartIntensityError extends TransitionError {
+  /**
+   * @param {string} child The name of the child that failed
+   * @param {number} maxRestarts
+   * @param {number} period Milliseconds
+   * @param {unknown} cause
+   */
+  constructor(child, maxRestarts, period, cause) {
+    super('supervision', cause)
+    this.message = `Child "${child}" failed after ${maxRestarts} restarts in ${period}ms`
+    this.name = 'RestartIntensityError'
+    this.child = child
+    this.maxRestarts = maxRestarts
+    this.period = period
+  }
+}
@@ -0,0 +1,57 @@
+/// <reference types="node" />
+import { readFile, rename, writeFile } from 'node:fs/promises'
+
+/**
+ * @typedef {import('./start-stop-state-machine.js').ServiceSnapshot} ServiceSnapshot
+ * @typedef {import('./start-stop-state-machine.js').PersistenceAdapter} PersistenceAdapter
+ */
+
+/**
+ * A `PersistenceAdapter` that saves snapshots in a JSON file, keyed by service
+ * name, so several services can share a file. Writes go to a temporary file
+ * that is then renamed over `filePath`, so a crash part way through a write
+ * does not corrupt it. Saves and loads run one at a time, so share one adapter
+ * between all the services that use the same file.
+ *
+ * @param {string} filePath
+ * @returns {PersistenceAdapter}
+ */
+export function filePersistence(filePath) {
+  /** @type {Promise<unknown>} */
+  let queue = Promise.resolve()
+
+  /**
+   * Run `fn` once every save and load queued before it has finished.
+   *
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  function enqueue(fn) {
+    const promise = queue.then(fn)
+    queue = promise.catch(() => {})
+    return promise
+  }
+
+  /** @returns {Promise<Record<string, ServiceSnapshot>>} */
+  async function read() {
+    try {
+      return JSON.parse(await readFile(filePath, 'utf8'))
+    } catch (e) {
+      if (/** @type {NodeJS.ErrnoException} */ (e).code === 'ENOENT') return {}
+      throw e
+    }
+  }
+
+  return {
+    save: (name, snapshot) =>
+      enqueue(async () => {
+        const snapshots = await read()
+        snapshots[name] = snapshot
+        const tempPath = `${filePath}.tmp`
+        await writeFile(tempPath, JSON.stringify(snapshots, null, 2))
+        await rename(tempPath, filePath)
+      }),
+    load: (name) => enqueue(async () => (await read())[name]),
+  }
+}
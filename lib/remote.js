@@ -0,0 +1,454 @@
+import { TypedEmitter } from 'tiny-typed-emitter'
+import {
+  AbortError,
+  BusyError,
+  InvalidStateError,
+  RestartIntensityError,
+  StartError,
+  StopError,
+  TimeoutError,
+  TransitionError,
+} from './errors.js'
+import { abortable } from './state-machine.js'
+
+/**
+ * @typedef {import('./start-stop-state-machine.js').default<any, any, any, any>} Service
+ * @typedef {import('./start-stop-state-machine.js').ServiceState} ServiceState
+ */
+
+/**
+ * The end of a message channel that a host or client talks over, e.g. a
+ * `MessagePort` from `worker_threads`, or `parentPort` in a worker. For a
+ * child process, wrap `child.send()` (or `process.send()` in the child) as
+ * `postMessage()`.
+ *
+ * @typedef {Object} MessagePortLike
+ * @property {(message: any) => void} postMessage
+ * @property {(event: 'message', listener: (message: any) => void) => unknown} on
+ * @property {(event: 'message', listener: (message: any) => void) => unknown} off
+ */
+
+/**
+ * An error, or any other value that was thrown, in a form that can be posted
+ * to a `MessagePortLike`
+ *
+ * @private
+ * @typedef {{ error: { name: string, message: string, stack?: string, props: Record<string, unknown>, cause?: SerializedValue } } | { value: unknown }} SerializedValue
+ */
+
+/**
+ * @typedef {Object} RemoteEvents
+ * @property {(state: ServiceState) => void} state
+ * @property {(error: Error) => void} error
+ */
+
+/** Marks the messages of hosts and clients, so a port can be shared */
+const CHANNEL = 'start-stop-state-machine'
+
+/** The methods that a client can call on the host's state machine */
+const METHODS = [
+  'start',
+  'stop',
+  'restart',
+  'reload',
+  'pause',
+  'resume',
+  'reset',
+  'started',
+  'resumed',
+  'stopped',
+]
+
+/**
+ * Ways to serialize an error, from the most complete to the most likely to be
+ * cloneable
+ *
+ * @type {Array<(error: unknown) => SerializedValue>}
+ */
+const SERIALIZERS = [
+  (error) => serialize(error),
+  (error) => serialize(error, false),
+  serializePlain,
+]
+
+/** Error classes that are rebuilt on the client, by name */
+/** @type {Record<string, { prototype: Error }>} */
+const ERROR_CLASSES = {
+  AbortError,
+  BusyError,
+  InvalidStateError,
+  RestartIntensityError,
+  StartError,
+  StopError,
+  TimeoutError,
+  TransitionError,
+}
+
+/**
+ * Make a state machine available to a `RemoteStateMachine` at the other end of
+ * `port`, e.g. in a worker thread or child process. Every change of state is
+ * posted to the client, and calls from the client are run on `sm`, posting
+ * back what they resolve with, or the error they reject with. Errors are
+ * posted with their `name`, `message`, `stack`, `cause` and other properties.
+ *
+ * Returns `{ close }`. `close()` stops listening to `port` and to `sm`.
+ *
+ * @param {Service} sm
+ * @param {MessagePortLike} port
+ * @returns {{ close: () => void }}
+ */
+export function hostStateMachine(sm, port) {
+  /**
+   * Post the message that `makeMessage()` makes with `error` serialized, or if
+   * it cannot be posted (e.g. a property of the error holds a function),
+   * with the error serialized without any properties, or else as a plain
+   * error with just its `name`, `message` and `stack`. Called from event
+   * listeners, so must not throw: if nothing can be posted, the failure is
+   * emitted by `sm` as a `warning` event.
+   *
+   * @param {(error: SerializedValue) => any} makeMessage
+   * @param {unknown} error
+   */
+  const postWithError = (makeMessage, error) => {
+    /** @type {unknown} */
+    let failure
+    for (const serializeError of SERIALIZERS) {
+      try {
+        port.postMessage(makeMessage(serializeError(error)))
+        return
+      } catch (e) {
+        failure = e
+      }
+    }
+    sm.emit('warning', /** @type {Error} */ (failure))
+  }
+
+  /**
+   * Called while `sm` emits `'state'`, so must not throw. A state that cannot
+   * be posted is emitted by `sm` as a `warning` event.
+   *
+   * @param {ServiceState} state
+   */
+  const postState = (state) => {
+    try {
+      port.postMessage({
+        channel: CHANNEL,
+        type: 'state',
+        state: toMessage(state),
+      })
+      return
+    } catch (e) {
+      if (!('error' in state))
+        return sm.emit('warning', /** @type {Error} */ (e))
+    }
+    // The arguments of a failed transition, e.g. a config that holds a
+    // function, might not be cloneable either, so leave them out
+    postWithError(
+      (error) => ({
+        channel: CHANNEL,
+        type: 'state',
+        state: { ...state, ...('args' in state && { args: [] }), error },
+      }),
+      state.error,
+    )
+  }
+
+  /** @param {any} message */
+  const onMessage = async (message) => {
+    if (message?.channel !== CHANNEL) return
+    if (message.type === 'subscribe') return postState(sm.state)
+    const { id, method, args } = message
+    try {
+      if (!METHODS.includes(method)) {
+        throw new Error(`Unknown method "${method}"`)
+      }
+      const value = await /** @type {any} */ (sm)[method](...args)
+      port.postMessage({ channel: CHANNEL, type: 'result', id, value })
+    } catch (e) {
+      // Also reached if the result cannot be posted
+      postWithError(
+        (error) => ({ channel: CHANNEL, type: 'error', id, error }),
+        e,
+      )
+    }
+  }
+
+  sm.on('state', postState)
+  port.on('message', onMessage)
+  return {
+    close() {
+      sm.off('state', postState)
+      port.off('message', onMessage)
+    },
+  }
+}
+
+/**
+ * Observe and control a state machine on the other side of `port` (see
+ * `hostStateMachine()`), with the same API as a `StartStopStateMachine`:
+ * calls to `start()`, `stop()`, `started()` etc. are run by the host, and
+ * `state` mirrors the state of the host's state machine, with a `'state'`
+ * event for each change. Errors are rebuilt with their `stack`, `cause` and
+ * other properties, and as instances of this library's error classes, e.g.
+ * `StartError`.
+ *
+ * `state` is `{ value: 'stopped' }` until the current state arrives from the
+ * host. Use `RemoteStateMachine.connect(port)` to wait for it.
+ *
+ * @template {Array<any>} [TStartArgs=Array<any>]
+ * @template {Array<any>} [TStopArgs=Array<any>]
+ * @template [TStartResult=any]
+ * @template {Array<any>} [TReloadArgs=Array<any>]
+ * @extends {TypedEmitter<RemoteEvents>}
+ */
+export class RemoteStateMachine extends TypedEmitter {
+  #port
+  /** @type {ServiceState} */
+  #state = { value: 'stopped' }
+  #nextId = 0
+  /** @type {Map<number, { resolve: (value: any) => void, reject: (reason: unknown) => void }>} */
+  #pending = new Map()
+  /** @type {Promise<void>} */
+  #synced
+
+  /**
+   * @param {MessagePortLike} port
+   */
+  constructor(port) {
+    super()
+    this.#port = port
+    this.#synced = new Promise((resolve) => {
+      this.once('state', () => resolve())
+    })
+    port.on('message', this.#onMessage)
+    port.postMessage({ channel: CHANNEL, type: 'subscribe' })
+  }
+
+  /**
+   * Create a client for the state machine hosted at the other end of `port`,
+   * once its current state has arrived.
+   *
+   * @template {Array<any>} [TStartArgs=Array<any>]
+   * @template {Array<any>} [TStopArgs=Array<any>]
+   * @template [TStartResult=any]
+   * @template {Array<any>} [TReloadArgs=Array<any>]
+   * @param {MessagePortLike} port
+   * @returns {Promise<RemoteStateMachine<TStartArgs, TStopArgs, TStartResult, TReloadArgs>>}
+   */
+  static async connect(port) {
+    /** @type {RemoteStateMachine<TStartArgs, TStopArgs, TStartResult, TReloadArgs>} */
+    const client = new RemoteStateMachine(port)
+    await client.#synced
+    return client
+  }
+
+  /**
+   * The state of the host's state machine, as of the last message from it.
+   *
+   * @returns {ServiceState}
+   */
+  get state() {
+    return this.#state
+  }
+
+  /**
+   * @param {TStartArgs} args
+   * @returns {Promise<TStartResult>}
+   */
+  async start(...args) {
+    return this.#call('start', args)
+  }
+
+  /**
+   * @param {TStopArgs} args
+   * @returns {Promise<void>}
+   */
+  async stop(...args) {
+    return this.#call('stop', args)
+  }
+
+  /**
+   * @param {TStartArgs} args
+   * @returns {Promise<TStartResult>}
+   */
+  async restart(...args) {
+    return this.#call('restart', args)
+  }
+
+  /**
+   * @param {TReloadArgs} args
+   * @returns {Promise<void>}
+   */
+  async reload(...args) {
+    return this.#call('reload', args)
+  }
+
+  /** @returns {Promise<void>} */
+  async pause() {
+    return this.#call('pause', [])
+  }
+
+  /** @returns {Promise<void>} */
+  async resume() {
+    return this.#call('resume', [])
+  }
+
+  /** @returns {Promise<void>} */
+  async reset() {
+    return this.#call('reset', [])
+  }
+
+  /**
+   * `signal` only stops this client waiting: it is not passed to the host.
+   *
+   * @param {import('./start-stop-state-machine.js').CallOptions} [opts]
+   * @returns {Promise<TStartResult>}
+   */
+  async started({ signal } = {}) {
+    return abortable(() => this.#call('started', []), signal)
+  }
+
+  /**
+   * @param {import('./start-stop-state-machine.js').CallOptions} [opts]
+   * @returns {Promise<void>}
+   */
+  async resumed({ signal } = {}) {
+    return abortable(() => this.#call('resumed', []), signal)
+  }
+
+  /**
+   * @param {import('./start-stop-state-machine.js').CallOptions} [opts]
+   * @returns {Promise<void>}
+   */
+  async stopped({ signal } = {}) {
+    return abortable(() => this.#call('stopped', []), signal)
+  }
+
+  /**
+   * Stop listening to the port. Calls that are waiting for the host reject
+   * with an `AbortError`.
+   */
+  close() {
+    this.#port.off('message', this.#onMessage)
+    for (const { reject } of this.#pending.values()) {
+      reject(new AbortError('The connection to the host was closed'))
+    }
+    this.#pending.clear()
+  }
+
+  /**
+   * Ask the host to call `method`, and settle with the outcome.
+   *
+   * @param {string} method
+   * @param {Array<any>} args
+   * @returns {Promise<any>}
+   */
+  #call(method, args) {
+    const id = this.#nextId++
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, { resolve, reject })
+      try {
+        this.#port.postMessage({
+          channel: CHANNEL,
+          type: 'call',
+          id,
+          method,
+          args,
+        })
+      } catch (e) {
+        // E.g. `args` cannot be cloned
+        this.#pending.delete(id)
+        throw e
+      }
+    })
+  }
+
+  /** @param {any} message */
+  #onMessage = (message) => {
+    if (message?.channel !== CHANNEL) return
+    if (message.type === 'state') {
+      const state = fromMessage(message.state)
+      this.#state = state
+      if (state.value === 'error' && this.listenerCount('error') > 0) {
+        this.emit('error', state.error)
+      }
+      this.emit('state', state)
+      return
+    }
+    const pending = this.#pending.get(message.id)
+    if (!pending) return
+    this.#pending.delete(message.id)
+    if (message.type === 'result') pending.resolve(message.value)
+    else pending.reject(deserialize(message.error))
+  }
+}
+
+/**
+ * @private
+ * @param {ServiceState} state
+ * @returns {any} `state`, with any error serialized
+ */
+function toMessage(state) {
+  if (!('error' in state)) return state
+  return { ...state, error: serialize(state.error) }
+}
+
+/**
+ * @private
+ * @param {any} message
+ * @returns {ServiceState} The state posted by the host, with any error rebuilt
+ */
+function fromMessage(message) {
+  if (!message.error) return message
+  return { ...message, error: deserialize(message.error) }
+}
+
+/**
+ * @private
+ * @param {unknown} value An error, or anything else that was thrown
+ * @param {boolean} [withProps=true] Whether to keep the other properties of the error and its causes
+ * @returns {SerializedValue}
+ */
+function serialize(value, withProps = true) {
+  if (!(value instanceof Error)) return { value }
+  // Properties set in the constructor, e.g. `transition`, are kept in `props`
+  const { name, message, stack, cause, ...props } = /** @type {any} */ (value)
+  return {
+    error: {
+      name,
+      message,
+      stack,
+      props: withProps ? props : {},
+      ...('cause' in value && { cause: serialize(cause, withProps) }),
+    },
+  }
+}
+
+/**
+ * @private
+ * @param {unknown} value An error, or anything else that was thrown
+ * @returns {SerializedValue} Just the `name`, `message` and `stack` of the error, or an `Error` with `value` as its message
+ */
+function serializePlain(value) {
+  if (!(value instanceof Error)) {
+    return { error: { name: 'Error', message: String(value), props: {} } }
+  }
+  const { name, message, stack } = value
+  return { error: { name, message, stack, props: {} } }
+}
+
+/**
+ * @private
+ * @param {SerializedValue} serialized
+ * @returns {unknown} The error, as an instance of its class if it is one of
+ *   this library's errors, or the value that was thrown
+ */
+function deserialize(serialized) {
+  if (!('error' in serialized)) return serialized.value
+  const { name, message, stack, props, cause } = serialized.error
+  const error = new Error(message)
+  Object.setPrototypeOf(error, (ERROR_CLASSES[name] ?? Error).prototype)
+  Object.assign(error, props, { name, stack })
+  if (cause) Object.assign(error, { cause: deserialize(cause) })
+  return error
+}
@@ -0,0 +1,211 @@
+import StartStopStateMachine from './start-stop-state-machine.js'
+import { InvalidStateError, StartError } from './errors.js'
+
+/**
+ * @typedef {StartStopStateMachine<any, any, any>} Service
+ */
+
+/**
+ * @private
+ * @typedef {Object} Registration
+ * @property {Service} service
+ * @property {string[]} dependsOn
+ */
+
+/**
+ * Start and stop a group of services that depend on each other. Register each
+ * service with `group.add(name, service, { dependsOn })`. Starting the group
+ * starts every service once all its dependencies have started (so independent
+ * services start in parallel), and stopping the group stops every service once
+ * all the services that depend on it have stopped.
+ *
+ * Services in the "error" state (e.g. after the group failed to start) are
+ * reset before they are started. If a service fails to start, any services
+ * that have started are stopped again before `start()` rejects with the error
+ * of the service. Services are started and stopped without arguments.
+ *
+ * A group is itself a `StartStopStateMachine`, so it follows the same rules
+ * for calling `start()` and `stop()`, and groups can be added to other groups.
+ *
+ * @extends {StartStopStateMachine<[], [], void>}
+ */
+export class ServiceGroup extends StartStopStateMachine {
+  /** @type {Map<string, Registration>} */
+  #services = new Map()
+  /** @type {Promise<void>} */
+  #rollback = Promise.resolve()
+
+  /**
+   * @param {Omit<NonNullable<ConstructorParameters<typeof StartStopStateMachine<[], [], void>>[0]>, 'start' | 'stop' | 'reload' | 'pause' | 'resume'>} [opts] Options for the group's state machine, e.g. `startTimeout`
+   */
+  constructor(opts = {}) {
+    /** @type {ServiceGroup} */
+    let group
+    super({
+      ...opts,
+      async start() {
+        return group.#startAll(this.signal)
+      },
+      async stop() {
+        return group.#stopAll()
+      },
+    })
+    group = this
+  }
+
+  /**
+   * Add a service to the group. Services can be added in any order, but can
+   * only be added while the group is stopped.
+   *
+   * @param {string} name
+   * @param {Service} service
+   * @param {Object} [opts]
+   * @param {string[]} [opts.dependsOn] Names of services that must be started before this one, and stopped after it
+   * @returns {this}
+   */
+  add(name, service, { dependsOn = [] } = {}) {
+    if (this.state.value !== 'stopped') {
+      throw new InvalidStateError('add', this.state.value)
+    }
+    if (this.#services.has(name)) {
+      throw new Error(`Service "${name}" has already been added`)
+    }
+    this.#services.set(name, { service, dependsOn })
+    const cycle = this.#findCycle(name, [name])
+    if (cycle) {
+      this.#services.delete(name)
+      throw new Error(`Dependency cycle: ${cycle.join(' -> ')}`)
+    }
+    return this
+  }
+
+  /**
+   * Get a service that was added to the group.
+   *
+   * @param {string} name
+   * @returns {Service | undefined}
+   */
+  get(name) {
+    return this.#services.get(name)?.service
+  }
+
+  /**
+   * `stop()` while starting resolves once the services that have started are
+   * stopped again.
+   *
+   * @protected
+   * @returns {boolean}
+   */
+  _stopWaitsForAbortedStart() {
+    return true
+  }
+
+  /**
+   * Depth-first search for a path of dependencies from `name` back to the
+   * first name in `path`.
+   *
+   * @param {string} name
+   * @param {string[]} path
+   * @returns {string[] | undefined}
+   */
+  #findCycle(name, path) {
+    for (const dependency of this.#services.get(name)?.dependsOn || []) {
+      if (dependency === path[0]) return [...path, dependency]
+      const cycle = this.#findCycle(dependency, [...path, dependency])
+      if (cycle) return cycle
+    }
+  }
+
+  /**
+   * @param {AbortSignal} signal
+   */
+  async #startAll(signal) {
+    // Wait until any previous failed or aborted start has been rolled back
+    await this.#rollback
+    signal.throwIfAborted()
+    for (const [name, { dependsOn }] of this.#services) {
+      for (const dependency of dependsOn) {
+        if (!this.#services.has(dependency)) {
+          throw new Error(
+            `Service "${name}" depends on unknown service "${dependency}"`,
+          )
+        }
+      }
+    }
+    // Aborted if the group's start is aborted, or if any service fails
+    const controller = new AbortController()
+    const onAbort = () => controller.abort(signal.reason)
+    signal.addEventListener('abort', onAbort)
+    controller.signal.addEventListener('abort', () => {
+      // Stop the services that have started (or are starting) straight away.
+      // Failures to stop are left in the state of each service.
+      this.#rollback = this.#stopAll().catch(() => {})
+    })
+    /** @type {Map<string, Promise<void>>} */
+    const starting = new Map()
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    const startService = (name) => {
+      let promise = starting.get(name)
+      if (!promise) {
+        const { service, dependsOn } = /** @type {Registration} */ (
+          this.#services.get(name)
+        )
+        promise = Promise.all(dependsOn.map(startService)).then(async () => {
+          controller.signal.throwIfAborted()
+          try {
+            if (service.state.value === 'error') await service.reset()
+            await service.start()
+          } catch (e) {
+            // The group's StartError wraps the error of the service, not its
+            // StartError
+            controller.abort(e instanceof StartError ? e.cause : e)
+            throw e
+          }
+        })
+        starting.set(name, promise)
+      }
+      return promise
+    }
+    await Promise.allSettled([...this.#services.keys()].map(startService))
+    signal.removeEventListener('abort', onAbort)
+    if (!controller.signal.aborted) return
+    await this.#rollback
+    throw controller.signal.reason
+  }
+
+  async #stopAll() {
+    /** @type {Map<string, Promise<void>>} */
+    const stopping = new Map()
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    const stopService = (name) => {
+      let promise = stopping.get(name)
+      if (!promise) {
+        const dependents = [...this.#services]
+          .filter(([, { dependsOn }]) => dependsOn.includes(name))
+          .map(([dependent]) => stopService(dependent))
+        const { service } = /** @type {Registration} */ (
+          this.#services.get(name)
+        )
+        // Stop even if a dependent failed to stop, but reject with its error
+        promise = Promise.allSettled(dependents).then(async (results) => {
+          await service.stop()
+          const rejected = results.find((r) => r.status === 'rejected')
+          if (rejected) throw rejected.reason
+        })
+        stopping.set(name, promise)
+      }
+      return promise
+    }
+    const results = await Promise.allSettled(
+      [...this.#services.keys()].map(stopService),
+    )
+    const rejected = results.find((result) => result.status === 'rejected')
+    if (rejected) throw rejected.reason
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * @typedef {import('./start-stop-state-machine.js').default<any, any, any>} Service
+ */
+
+/**
+ * The parts of `process` used by `gracefulShutdown()`, so that a fake can be
+ * passed in tests.
+ *
+ * @typedef {Object} ShutdownProcess
+ * @property {(event: string, listener: (...args: any[]) => void) => unknown} on
+ * @property {(event: string, listener: (...args: any[]) => void) => unknown} off
+ * @property {(code: number) => void} exit
+ */
+
+/**
+ * The outcome of stopping a service: `'stopped'`, `'failed'` (with the error
+ * from `stop()`), or `'timeout'` if it had not stopped by the deadline.
+ *
+ * @typedef {{ name: string, status: 'stopped' | 'timeout' } | { name: string, status: 'failed', error: Error }} ShutdownResult
+ */
+
+/**
+ * @typedef {Object} GracefulShutdownOptions
+ * @property {ShutdownProcess} [process] Defaults to the global `process`
+ * @property {string[]} [signals=['SIGINT', 'SIGTERM']] Process signals that shut down the services
+ * @property {boolean} [beforeExit=true] Also shut down the services on the `beforeExit` event
+ * @property {number} [timeout=10000] Milliseconds to wait for all the services to stop
+ * @property {number} [exitCode=1] Exit code if any service fails to stop by the deadline
+ * @property {(results: ShutdownResult[]) => void} [onShutdown] Called with the outcome for each service once shutdown has finished, before the process exits. If it throws, the process exits with `exitCode`
+ */
+
+/**
+ * Stop services when the process is asked to exit. On any of `opts.signals`
+ * or `beforeExit`, stops each service in turn, in the reverse of the order
+ * they are listed in `services` (so list them in the order they start). Once
+ * they have all stopped, or after `opts.timeout`, calls `opts.onShutdown()`
+ * with the outcome for each service, and then:
+ *
+ * - after a signal, exits with `0` if every service stopped, or with
+ *   `opts.exitCode` otherwise
+ * - after `beforeExit`, exits with `opts.exitCode` if any service did not
+ *   stop, or else lets the process exit as it was going to
+ *
+ * Returns `shutdown()` to stop the services without exiting (resolving with
+ * the outcome for each service, or rejecting if `opts.onShutdown()` throws),
+ * and `remove()` to remove the listeners from the process.
+ *
+ * @param {Record<string, Service> | Array<[string, Service]>} services Services to stop, by name. Pass an array of `[name, service]` pairs if names look like integers, which objects order numerically. A `ServiceGroup` is stopped as a single service
+ * @param {GracefulShutdownOptions} [opts]
+ * @returns {{ shutdown: () => Promise<ShutdownResult[]>, remove: () => void }}
+ */
+export function gracefulShutdown(
+  services,
+  {
+    process = /** @type {any} */ (globalThis).process,
+    signals = ['SIGINT', 'SIGTERM'],
+    beforeExit = true,
+    timeout = 10_000,
+    exitCode = 1,
+    onShutdown = () => {},
+  } = {},
+) {
+  const events = beforeExit ? [...signals, 'beforeExit'] : signals
+  /** @type {Promise<ShutdownResult[]> | undefined} */
+  let shuttingDown
+  let exiting = false
+
+  /** @param {string} event */
+  const onEvent = async (event) => {
+    // Further signals wait for the first to exit
+    if (exiting) return
+    exiting = true
+    let ok = false
+    try {
+      const results = await shutdown()
+      ok = results.every(({ status }) => status === 'stopped')
+    } catch {
+      // opts.onShutdown() threw: exit as if a service had failed to stop
+    }
+    if (!ok) process.exit(exitCode)
+    else if (event !== 'beforeExit') process.exit(0)
+  }
+  /** @type {Map<string, () => void>} */
+  const listeners = new Map(
+    events.map((event) => [event, () => onEvent(event)]),
+  )
+  for (const [event, listener] of listeners) process.on(event, listener)
+
+  function remove() {
+    for (const [event, listener] of listeners) process.off(event, listener)
+  }
+
+  function shutdown() {
+    shuttingDown ??= stopAll(services, timeout).then((results) => {
+      remove()
+      onShutdown(results)
+      return results
+    })
+    return shuttingDown
+  }
+
+  return { shutdown, remove }
+}
+
+/**
+ * Stop services one at a time in reverse order, until they have all stopped or
+ * `timeout` has passed.
+ *
+ * @param {Record<string, Service> | Array<[string, Service]>} services
+ * @param {number} timeout
+ * @returns {Promise<ShutdownResult[]>} The outcome for each service, in the order they were stopped
+ */
+async function stopAll(services, timeout) {
+  const entries = (
+    Array.isArray(services) ? [...services] : Object.entries(services)
+  ).reverse()
+  /** @type {ShutdownResult[]} */
+  const results = entries.map(([name]) => ({ name, status: 'timeout' }))
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeout)
+  })
+  const stopping = (async () => {
+    for (const [i, [name, service]] of entries.entries()) {
+      try {
+        // The services are meant to start again when the process restarts
+        await service.withOptions({ persist: false }).stop()
+        results[i] = { name, status: 'stopped' }
+      } catch (e) {
+        results[i] = { name, status: 'failed', error: /** @type {Error} */ (e) }
+      }
+    }
+  })()
+  await Promise.race([stopping, deadline])
+  clearTimeout(timer)
+  // Copy so that services that stop after the deadline do not change results
+  return [...results]
+}
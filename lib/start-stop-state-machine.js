@@ -0,0 +1,2404 @@
+import { TypedEmitter } from 'tiny-typed-emitter'
+import {
+  AbortError,
+  BusyError,
+  InvalidStateError,
+  StartError,
+  StopError,
+  TimeoutError,
+  TransitionError,
+} from './errors.js'
+import { StateMachineEngine, abortable } from './state-machine.js'
+
+/**
+ * @typedef {import('./errors.js').FailedTransition} FailedTransition
+ */
+
+/**
+ * @private
+ * @typedef {'stopped' | 'starting' | 'retrying' | 'started' | 'degraded' | 'unhealthy' | 'stopping' | 'restarting' | 'reloading' | 'pausing' | 'paused' | 'resuming' | 'error'} ServiceStateValue
+ */
+/**
+ * The "retrying" state is between a failed attempt to start and the next
+ * attempt: `attempt` is the number of attempts so far, `delay` is the time in
+ * milliseconds until the next attempt, and `error` is the error from the last
+ * attempt.
+ *
+ * The "degraded" and "unhealthy" states are a started service that is failing
+ * `opts.healthCheck()`: `failures` is the number of consecutive failed checks,
+ * and `error` is the error from the last check.
+ *
+ * The "pausing", "paused" and "resuming" states are a started service that has
+ * been suspended with `pause()`.
+ *
+ * The "error" state records the transition that failed, the arguments it was
+ * called with and when it failed. Its `error` is a `StartError`, `StopError`
+ * or `TransitionError` that wraps what was thrown as `cause`.
+ *
+ * @typedef {{ value: Exclude<ServiceStateValue, 'error' | 'retrying' | 'degraded' | 'unhealthy'> } | import('./state-machine.js').ErrorState<FailedTransition> | { value: 'retrying', attempt: number, delay: number, error: Error } | { value: 'degraded' | 'unhealthy', failures: number, error: Error }} ServiceState
+ */
+
+/**
+ * What to do when `opts.start()` or `opts.stop()` throws:
+ *
+ * - `'error'`: stay in the "error" state until `reset()` is called
+ * - `'revert'`: return to the state before the transition ("stopped" if
+ *   `opts.start()` threw, "started" if `opts.stop()`, `opts.reload()` or
+ *   `opts.pause()` threw, "paused" if `opts.resume()` threw)
+ * - `'reset'`: call `reset()`, which runs `opts.cleanup()` and moves to
+ *   "stopped"
+ *
+ * @typedef {'error' | 'revert' | 'reset'} RecoveryPolicy
+ */
+
+/**
+ * How to handle a call to `start()`, `stop()`, `restart()`, `reload()`,
+ * `pause()` or `resume()` that is made while another transition is in
+ * progress. With every policy, the service ends up in the state of the last
+ * call that did not reject.
+ *
+ * - `'coalesce'`: a call to the same method coalesces with the transition in
+ *   progress, a call that reverses it aborts it where it can (e.g. `stop()`
+ *   while "starting"), and other calls wait for it to finish
+ * - `'latest-wins'`: each call supersedes any earlier call that is still
+ *   waiting for its turn, which rejects with an `AbortError`. A call to
+ *   `start()` or `restart()` while "starting" aborts the start and starts
+ *   again with the new arguments. Otherwise as `'coalesce'`, except that
+ *   calls that would coalesce wait and then run instead
+ * - `'reject-while-busy'`: reject with a `BusyError`
+ * - `'serialize-all'`: run each call in turn once every earlier call has
+ *   finished, in the order they were made. Calls never coalesce or abort a
+ *   transition in progress, and by default (see `ArgsChangePolicy`) a call to
+ *   `start()` with different arguments restarts the service with them
+ *
+ * @typedef {'coalesce' | 'latest-wins' | 'reject-while-busy' | 'serialize-all'} ConcurrencyPolicy
+ */
+
+/**
+ * What to do when `start()` is called with different arguments (see
+ * `opts.argsEqual`) while the service is started, or once a start in progress
+ * has finished:
+ *
+ * - `'ignore'`: resolve with the current start result
+ * - `'restart'`: call `restart()` with the new arguments
+ * - `'reject'`: reject, and leave the service started
+ *
+ * @typedef {'ignore' | 'restart' | 'reject'} ArgsChangePolicy
+ */
+
+/**
+ * Retry `opts.start()` when it throws. The delay before attempt `n + 1` is
+ * `initialDelay * factor ** (n - 1)`, capped at `maxDelay`, and then reduced
+ * by a random amount of up to `jitter` (a fraction between 0 and 1) of the
+ * delay.
+ *
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxAttempts=3] Maximum number of calls to `opts.start()`, including the first
+ * @property {number} [initialDelay=100] Delay in milliseconds before the first retry
+ * @property {number} [maxDelay=30000] Maximum delay in milliseconds between attempts
+ * @property {number} [factor=2] Multiplier for the delay after each attempt
+ * @property {number} [jitter=0.5] Fraction of each delay that is randomized
+ * @property {(error: Error, attempt: number) => boolean} [shouldRetry] Return `false` to fail without retrying. Called with the error and the number of attempts so far. Defaults to retrying every error
+ */
+
+/**
+ * What to do when `opts.start()` or `opts.stop()` take longer than
+ * `opts.startTimeout` or `opts.stopTimeout`. Every timeout emits a `warning`
+ * event with a `TimeoutError`, and then:
+ *
+ * - `'error'`: abort the transition's signal and fail with the `TimeoutError`,
+ *   as if `opts.start()` or `opts.stop()` had thrown it
+ * - `'stop'`: abort the transition's signal and move to "stopped" without
+ *   waiting any longer. `start()` rejects with the `TimeoutError`, `stop()`
+ *   resolves
+ * - `'wait'`: keep waiting
+ *
+ * With `'error'` or `'stop'`, a timed out `opts.start()` that completes anyway
+ * is stopped, and the next start waits for that.
+ *
+ * @typedef {'error' | 'stop' | 'wait'} TimeoutPolicy
+ */
+
+/**
+ * What to do when a started service becomes "unhealthy":
+ *
+ * - `'none'`: stay "unhealthy", and keep checking until a check passes
+ * - `'restart'`: call `restart()` with the arguments of the last start
+ * - `'stop'`: call `stop()`
+ * - `'error'`: move to the "error" state with the error from the last check
+ *
+ * @typedef {'none' | 'restart' | 'stop' | 'error'} UnhealthyAction
+ */
+
+/**
+ * Options for starting the service automatically when it is needed, and
+ * stopping it again once it is idle (see `opts.lazy`).
+ *
+ * @template {Array<any>} TStartArgs
+ * @typedef {Object} LazyOptions
+ * @property {TStartArgs} [args] Arguments for the automatic call to `start()`. Defaults to no arguments
+ * @property {number} [idleTimeout=Infinity] Milliseconds to wait after the service starts, or after the last call to a guarded method finishes, before calling `stop()`. By default the service is not stopped
+ */
+
+/**
+ * @typedef {Object} GuardOptions
+ * @property {'reject' | 'wait'} [whileStopping='reject'] What to do when the guarded method is called while the service is "stopping": reject with an `InvalidStateError`, or wait until the service starts again
+ */
+
+/**
+ * Options for `opts.healthCheck()`. The service is "degraded" after the first
+ * failed check, and "unhealthy" after `unhealthyAfter` consecutive failed
+ * checks. A passing check returns it to "started".
+ *
+ * @typedef {Object} HealthOptions
+ * @property {number} [interval=10000] Milliseconds between the end of one check and the start of the next
+ * @property {number} [timeout] Milliseconds before a check fails with a `TimeoutError` and its signal is aborted. Defaults to `interval`
+ * @property {number} [unhealthyAfter=3] Number of consecutive failed checks before the service is "unhealthy"
+ * @property {UnhealthyAction} [onUnhealthy='none'] What to do when the service becomes "unhealthy"
+ */
+
+/**
+ * Emitted with the `health` event when the result of a health check changes
+ * the state of the service.
+ *
+ * @typedef {{ status: 'healthy' } | { status: 'degraded' | 'unhealthy', failures: number, error: Error }} HealthReport
+ */
+
+/**
+ * Hooks that run around every transition, registered with `use()`. Each is
+ * called with the transition context as `this`, except for `onError`.
+ *
+ * - `beforeStart` and `beforeStop` are called with the arguments for
+ *   `opts.start()` or `opts.stop()`. Return an array to replace them for the
+ *   next hook and the transition, or throw to veto the transition.
+ * - `afterStart` is called with the start result and the arguments, once
+ *   `opts.start()` has resolved, and `afterStop` with the arguments, once
+ *   `opts.stop()` has resolved.
+ * - `onError` is called with the error and the name of the transition when a
+ *   transition fails, once the service is in the "error" state and before
+ *   `opts.recovery` is applied.
+ *
+ * If any hook but `onError` throws, the transition fails with the error, just
+ * as if `opts.start()` or `opts.stop()` had thrown it. If `onError` throws, the
+ * error is emitted as a `warning` event.
+ *
+ * @template {Array<any>} TStartArgs
+ * @template {Array<any>} TStopArgs
+ * @template TStartResult
+ * @typedef {Object} TransitionHooks
+ * @property {(this: TransitionContext, args: TStartArgs) => Promise<TStartArgs | void>} [beforeStart]
+ * @property {(this: TransitionContext, result: TStartResult, args: TStartArgs) => Promise<void>} [afterStart]
+ * @property {(this: TransitionContext, args: TStopArgs) => Promise<TStopArgs | void>} [beforeStop]
+ * @property {(this: TransitionContext, args: TStopArgs) => Promise<void>} [afterStop]
+ * @property {(error: Error, transition: 'start' | 'stop' | 'reload' | 'pause' | 'resume') => Promise<void>} [onError]
+ */
+
+/**
+ * An entry in the transition history (see `opts.history`), recorded for every
+ * change of state. A transition begins with a call to `start()`, `stop()`,
+ * `restart()` or `reload()`, and ends when the service is next "stopped",
+ * "started" (or "degraded" or "unhealthy") or in the "error" state.
+ *
+ * @typedef {import('./state-machine.js').HistoryEntry<ServiceStateValue>} HistoryEntry
+ */
+
+/**
+ * @typedef {import('./state-machine.js').Instrumentation} Instrumentation
+ */
+
+/**
+ * @typedef {import('./state-machine.js').WithSerializedError<ServiceState>} ServiceStateJSON
+ */
+/**
+ * @typedef {import('./state-machine.js').HistoryEntryJSON<ServiceStateValue>} HistoryEntryJSON
+ */
+
+/**
+ * Where `opts.persistence` saves the desired state of a service, so that
+ * `restore()` can bring it back after the process restarts. Snapshots are
+ * saved and loaded by the `opts.name` of the service.
+ *
+ * @typedef {Object} PersistenceAdapter
+ * @property {(name: string, snapshot: ServiceSnapshot) => Promise<void>} save Called on every call to `start()`, `restart()` or `stop()`, with a snapshot taken when the call runs. The call settles once this has settled
+ * @property {(name: string) => Promise<ServiceSnapshot | undefined>} load Called by `restore()`. Resolves `undefined` if nothing has been saved for `name`
+ */
+
+/**
+ * The state the service is meant to be in: what the last call to `start()`,
+ * `restart()` or `stop()` asked for, and the arguments to start it with.
+ *
+ * @template {Array<any>} [TStartArgs=Array<any>]
+ * @typedef {{ value: 'started', args: TStartArgs } | { value: 'stopped' }} DesiredState
+ */
+
+/**
+ * A description of the service that can be serialized with
+ * `JSON.stringify()` (as long as its start arguments can), returned by
+ * `snapshot()` and saved by `opts.persistence`.
+ *
+ * @template {Array<any>} [TStartArgs=Array<any>]
+ * @template {string} [TCustomState=string] The states from `opts.states`
+ * @typedef {Object} ServiceSnapshot
+ * @property {string | undefined} name The `opts.name` of the service
+ * @property {DesiredState<TStartArgs>} desired The state the service is meant to be in
+ * @property {ServiceStateJSON | { value: TCustomState }} state The state the service is actually in, with any error reduced to its `name` and `message`
+ * @property {TStartArgs | undefined} startArgs The arguments the service was last started with
+ * @property {number} timestamp When the snapshot was taken, in milliseconds since the epoch
+ */
+
+/**
+ * @private
+ * @template TStartResult
+ * @typedef {Object} InternalEvents
+ * @property {(result: TStartResult) => void} started
+ * @property {() => void} stopped
+ * @property {(error: Error) => void} internal-error
+ * @property {(reason: any) => void} start-aborted
+ * @property {() => void} paused
+ * @property {(reason: any) => void} suspend-aborted
+ */
+
+/**
+ * `opts.start()`, `opts.stop()` and `opts.reload()` are called with a
+ * transition context as `this`. `signal` is aborted if the transition is abandoned, e.g. when
+ * `stop()` is called while the service is starting. `opts.start()` should then
+ * release anything it has acquired and reject.
+ *
+ * @typedef {import('./state-machine.js').TransitionContext} TransitionContext
+ */
+
+/**
+ * @typedef {Object} CallOptions
+ * @property {AbortSignal} [signal] Stop waiting and reject with `signal.reason` when this aborts
+ */
+
+/**
+ * Returned by `acquire()`. Call `release()` (or dispose of the handle with
+ * `await using`) when done with the service.
+ *
+ * @template TStartResult
+ * @typedef {{ result: TStartResult, release: () => Promise<void>, [Symbol.asyncDispose]: () => Promise<void> }} ServiceHandle
+ */
+
+/**
+ * @typedef {import('./state-machine.js').WaitForOptions} WaitForOptions
+ */
+
+/**
+ * @typedef {import('./state-machine.js').WatchOptions<ServiceState>} WatchOptions
+ */
+
+/**
+ * The built-in transitions of a `StartStopStateMachine`. They are run by
+ * `start()`, `stop()`, `restart()`, `reload()`, `pause()` and `resume()`,
+ * rather than by the `run()` of each transition.
+ *
+ * @private
+ * @template {Array<any>} TStartArgs
+ * @template {Array<any>} TStopArgs
+ * @template TStartResult
+ * @template {Array<any>} TReloadArgs
+ * @typedef {Object} StartStopTransitions
+ * @property {TransitionDefinition<TStartArgs, TStartResult>} start
+ * @property {TransitionDefinition<TStopArgs, void>} stop
+ * @property {TransitionDefinition<TStartArgs, TStartResult>} restart
+ * @property {TransitionDefinition<TReloadArgs, void>} reload
+ * @property {TransitionDefinition<[], void>} pause
+ * @property {TransitionDefinition<[], void>} resume
+ */
+
+/**
+ * @private
+ * @template {Array<any>} TArgs
+ * @template TResult
+ * @typedef {import('./state-machine.js').TransitionDefinition<ServiceStateValue, TArgs, TResult>} TransitionDefinition
+ */
+/**
+ * @private
+ * @template T
+ * @typedef {import('./state-machine.js').TransitionArgs<T>} TransitionArgs
+ */
+/**
+ * @private
+ * @template T
+ * @typedef {import('./state-machine.js').TransitionResult<T>} TransitionResult
+ */
+
+/**
+ * A transition for `opts.transitions`, as for `StateMachineEngine`
+ *
+ * @typedef {import('./state-machine.js').TransitionDefinition<string>} CustomTransitionDefinition
+ */
+
+/**
+ * @typedef {Object} TransitionOptions
+ * @property {AbortSignal} [signal] Stop waiting and reject with `signal.reason` when this aborts
+ * @property {number} [timeout] Override `opts.startTimeout` or `opts.stopTimeout` for the transition this call triggers (for a restart, for both). `Infinity` disables the timeout
+ * @property {boolean} [persist=true] Whether the call records the desired state with `opts.persistence`
+ */
+
+/**
+ * @template {string} [TCustomState=never]
+ * @typedef {Object} ExternalEvents
+ * @property {(state: ServiceState | { value: TCustomState }) => void} state
+ * @property {(error: Error) => void} error
+ * @property {(error: Error) => void} warning
+ * @property {(report: HealthReport) => void} health
+ */
+
+/**
+ * A state machine for managing a service that has asynchronous "start" and
+ * "stop" methods. Create an instance passing async `opts.start()` and
+ * `opts.stop()` methods. It manages state following some basic rules:
+ *
+ * - Most importantly: You can call start() and stop() multiple times, but the
+ *   service will end in the state of the last call (e.g. if the last call was
+ *   to `stop()` then it will end up stopped)
+ * - Calling `start()` when the service is "stopped" calls the `opts.start()` method
+ *   and resolves when it completes.
+ * - Calling `start()` when the service is "starting" (e.g. `start()` has been
+ *   called but has not completed) will not call `opts.start()` again, but will
+ *   resolve once the service has started
+ * - Calling `start()` when the service is "started" will resolve immediately
+ *   and do nothing.
+ * - If `opts.retry` is set and `opts.start()` throws, the service is
+ *   "retrying" until the next attempt, and `start()` and `started()` resolve
+ *   once an attempt succeeds. While "retrying", calls behave as if the service
+ *   is "starting".
+ * - Calling `stop()` when the service is "starting" (or "retrying") aborts the
+ *   signal passed to `opts.start()` and moves straight to "stopped". Pending
+ *   calls to `start()` reject with the abort reason.
+ * - If `opts.start()` (after any retries) or `opts.stop()` throw, then the
+ *   service is left in an "error" state. Call `reset()` to run
+ *   `opts.cleanup()` and return to "stopped", or set `opts.recovery` to
+ *   recover automatically.
+ * - Calling `start()` or `stop()` when the service is in "error" state will
+ *   throw with the error from the error state
+ *
+ * Logic for calling `stop()` follows the inverse of `start()`.
+ *
+ * If `opts.healthCheck()` is set, it is called on an interval while the
+ * service is started, and failing checks move the service to "degraded" and
+ * then "unhealthy" (see `opts.health`). These are still started states: calls
+ * behave as if the service is "started".
+ *
+ * `restart()` stops and then starts the service as a single transition: the
+ * service is "restarting" throughout, rather than passing through "stopped".
+ * `reload()` calls `opts.reload()` to reconfigure a started service in place,
+ * and the service is "reloading" until it completes. Both follow the same
+ * rules: a call to `stop()` while "restarting" wins, other calls made while
+ * "restarting" or "reloading" wait for it to finish, and calls to the same
+ * method coalesce with the one in progress.
+ *
+ * If `opts.pause()` and `opts.resume()` are set, `pause()` suspends a started
+ * service without stopping it, and `resume()` returns it to "started". These
+ * follow the same rules as `start()` and `stop()`: calls coalesce, the last
+ * call wins, and `stop()` (or `restart()`) stops a "paused" service as usual.
+ *
+ * A `StartStopStateMachine` is a `StateMachineEngine` with the built-in
+ * transitions above, and `transition('start', ...args)` is the same as
+ * `start(...args)`. `opts.states` and `opts.transitions` add custom
+ * transitions (e.g. to drain a started service), which `transition()` runs
+ * with the rules of `StateMachineEngine`. They begin from and end in started
+ * states, and their own states are started states too: the built-in
+ * transitions wait for a custom transition in progress to finish, `stop()` and
+ * `restart()` work as usual from a custom state, and `reload()`, `pause()` and
+ * `resume()` reject.
+ *
+ * To wait for the service to be in the "started" state from other methods, use
+ * `await stateMachine.started()`. Note that if the services is "stopping" or
+ * "stopped" then this will await (e.g. queue) until next start
+ *
+ * @template {Array<any>} TStartArgs
+ * @template {Array<any>} TStopArgs
+ * @template {any} [TStartResult=void]
+ * @template {Array<any>} [TReloadArgs=[]]
+ * @template {string} [TCustomState=never] The states from `opts.states`
+ * @template {Record<string, CustomTransitionDefinition>} [TTransitions={}] The transitions from `opts.transitions`
+ * @extends {StateMachineEngine<string, StartStopTransitions<TStartArgs, TStopArgs, TStartResult, TReloadArgs> & TTransitions, ServiceState | { value: TCustomState }, ExternalEvents<TCustomState>>}
+ */
+class StartStopStateMachine extends StateMachineEngine {
+  /** @type {TypedEmitter<InternalEvents<TStartResult>>} */
+  #emitter = new TypedEmitter()
+  /** @type {TStartResult} */
+  #startResult = /** @type {TStartResult} */ (undefined)
+  #start
+  #stop
+  #reload
+  #pause
+  #resume
+  #cleanup
+  #recovery
+  /** @type {Required<RetryOptions> | undefined} */
+  #retry
+  /** @type {Promise<void> | undefined} */
+  #resetting
+  /** Set if stop() is called while a restart is still stopping */
+  #cancelRestart = false
+  /** @type {AbortController | undefined} */
+  #startController
+  /**
+   * The call to `opts.start()` (with its hooks) in progress, so that it can be
+   * stopped if it completes after being aborted
+   *
+   * @type {Promise<TStartResult> | undefined}
+   */
+  #starting
+  /**
+   * Settles once every abandoned start that completed anyway has been stopped
+   *
+   * @type {Promise<void> | undefined}
+   */
+  #abandoned
+  /**
+   * The controller for the pause or resume in progress
+   *
+   * @type {AbortController | undefined}
+   */
+  #suspendController
+  #startTimeout
+  #stopTimeout
+  #onTimeout
+  /** @type {TStartArgs | undefined} */
+  #startArgs
+  #healthCheck
+  /** @type {Required<HealthOptions>} */
+  #health
+  /** @type {Array<TransitionHooks<TStartArgs, TStopArgs, TStartResult>>} */
+  #hooks = []
+  /** Number of handles from acquire() that have not been released */
+  #refCount = 0
+  #releaseDelay
+  #concurrency
+  #onArgsChange
+  #argsEqual
+  /**
+   * Settles once every call queued by the "serialize-all" policy has finished
+   *
+   * @type {Promise<void>}
+   */
+  #queue = Promise.resolve()
+  /**
+   * Aborted when a later call supersedes the call that is waiting for its turn
+   * with the "latest-wins" policy
+   *
+   * @type {AbortController | undefined}
+   */
+  #latest
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #releaseTimer
+  /**
+   * Aborted when the service is no longer started, to end health checks
+   *
+   * @type {AbortController | undefined}
+   */
+  #healthController
+  /** @type {Required<LazyOptions<TStartArgs>> | undefined} */
+  #lazy
+  /** Number of calls to guarded methods that have not finished */
+  #inFlight = 0
+  /**
+   * Calls to guarded methods that are running, for stop() to wait for
+   *
+   * @type {Set<Promise<any>>}
+   */
+  #active = new Set()
+  #drainTimeout
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #idleTimer
+  /** @type {DesiredState<TStartArgs>} */
+  #desired = { value: 'stopped' }
+  #persistence
+
+  /**
+   * @param {Object} [opts]
+   * @param {(this: TransitionContext, ...args: TStartArgs) => Promise<TStartResult>} [opts.start]
+   * @param {(this: TransitionContext, ...args: TStopArgs) => Promise<void>} [opts.stop]
+   * @param {(this: TransitionContext, ...args: TReloadArgs) => Promise<void>} [opts.reload] Reconfigure the started service in place. Without this, `reload()` rejects
+   * @param {(error: Error) => Promise<void>} [opts.cleanup] Called by `reset()` with the error from the error state, to release anything left behind by the failed transition
+   * @param {(this: TransitionContext) => Promise<void>} [opts.pause] Suspend the started service without stopping it. Without this, `pause()` rejects
+   * @param {(this: TransitionContext) => Promise<void>} [opts.resume] Resume the paused service. Without this, `resume()` rejects
+   * @param {Object} [opts.recovery] What to do when `opts.start()`, `opts.stop()`, `opts.reload()`, `opts.pause()` or `opts.resume()` throws
+   * @param {RecoveryPolicy} [opts.recovery.start='error']
+   * @param {RecoveryPolicy} [opts.recovery.stop='error']
+   * @param {RecoveryPolicy} [opts.recovery.reload='error'] `'revert'` returns to "started"
+   * @param {RecoveryPolicy} [opts.recovery.pause='error'] `'revert'` returns to "started"
+   * @param {RecoveryPolicy} [opts.recovery.resume='error'] `'revert'` returns to "paused"
+   * @param {RetryOptions} [opts.retry] Retry `opts.start()` with exponential backoff when it throws. By default it is not retried
+   * @param {number} [opts.startTimeout] Milliseconds to wait for the service to start (including any retries). By default there is no timeout
+   * @param {number} [opts.stopTimeout] Milliseconds to wait for `opts.stop()`. By default there is no timeout
+   * @param {TimeoutPolicy} [opts.onTimeout='error'] What to do when a transition times out
+   * @param {(this: TransitionContext, result: TStartResult) => Promise<void>} [opts.healthCheck] Called with the start result on an interval while the service is started, and should reject if the service is not healthy
+   * @param {HealthOptions} [opts.health] How often to call `opts.healthCheck()`, and what to do when it fails
+   * @param {number} [opts.history=0] Number of entries to keep in the transition history. By default no history is kept
+   * @param {number} [opts.releaseDelay=0] Milliseconds to wait after the last handle from `acquire()` is released before stopping the service
+   * @param {ConcurrencyPolicy} [opts.concurrency='coalesce'] How to handle calls made while another transition is in progress
+   * @param {ArgsChangePolicy} [opts.onArgsChange] What to do when `start()` is called with different arguments while the service is started. Defaults to `'restart'` if `opts.concurrency` is `'serialize-all'`, so that every start runs, and otherwise to `'ignore'`
+   * @param {(args: TStartArgs, startArgs: TStartArgs) => boolean} [opts.argsEqual] Compare the arguments of a call to `start()` with `startArgs`. Defaults to comparing each argument with `Object.is()`
+   * @param {string} [opts.name] Name of the service, passed to `opts.instrumentation`
+   * @param {Instrumentation} [opts.instrumentation] Callbacks for exporting metrics and traces of each transition and change of state, e.g. `diagnosticsChannelInstrumentation`
+   * @param {boolean | LazyOptions<TStartArgs>} [opts.lazy=false] Call `start()` when `started()` is awaited or a guarded method is called while the service is stopped, and optionally `stop()` once it is idle
+   * @param {number} [opts.drainTimeout] Milliseconds to wait for calls in flight to guarded methods to finish before calling `opts.stop()`. By default there is no timeout
+   * @param {PersistenceAdapter} [opts.persistence] Save the desired state on every call to `start()`, `restart()` or `stop()`, for `restore()`. Requires `opts.name`
+   * @param {TCustomState[]} [opts.states] States to add for `opts.transitions`
+   * @param {TTransitions} [opts.transitions] Transitions to add to the transition table, run by `transition(name, ...args)`. They can only begin from and end in started states, and pass through the states from `opts.states`
+   */
+  constructor({
+    start = /** @type {(this: TransitionContext, ...args: TStartArgs) => Promise<TStartResult>} */ (
+      async () => {}
+    ),
+    stop = async () => {},
+    reload,
+    pause,
+    resume,
+    cleanup = async () => {},
+    recovery = {},
+    retry,
+    startTimeout = Infinity,
+    stopTimeout = Infinity,
+    onTimeout = 'error',
+    healthCheck,
+    health = {},
+    history = 0,
+    releaseDelay = 0,
+    concurrency = 'coalesce',
+    onArgsChange = concurrency === 'serialize-all' ? 'restart' : 'ignore',
+    argsEqual = shallowEqual,
+    name,
+    instrumentation,
+    lazy = false,
+    drainTimeout = Infinity,
+    persistence,
+    states = [],
+    transitions = /** @type {TTransitions} */ ({}),
+  } = {}) {
+    super({
+      states: [...STATES, ...states],
+      initial: 'stopped',
+      transitions: {
+        ...customTransitions(transitions),
+        start: {
+          from: ['stopped'],
+          via: ['starting', 'retrying'],
+          to: 'started',
+        },
+        stop: {
+          from: ['started', 'degraded', 'unhealthy', 'paused'],
+          via: 'stopping',
+          to: 'stopped',
+        },
+        restart: {
+          from: ['started', 'degraded', 'unhealthy', 'paused'],
+          via: ['restarting', 'retrying'],
+          to: 'started',
+        },
+        reload: {
+          from: ['started', 'degraded', 'unhealthy'],
+          via: 'reloading',
+          to: 'started',
+        },
+        pause: {
+          from: ['started', 'degraded', 'unhealthy'],
+          via: 'pausing',
+          to: 'paused',
+        },
+        resume: { from: ['paused'], via: 'resuming', to: 'started' },
+      },
+      history,
+      name,
+      instrumentation,
+    })
+    if (persistence && name === undefined) {
+      throw new Error('opts.persistence requires opts.name')
+    }
+    this.#persistence = persistence
+    this.#start = start
+    this.#stop = stop
+    this.#reload = reload
+    this.#pause = pause
+    this.#resume = resume
+    this.#cleanup = cleanup
+    this.#recovery = {
+      start: 'error',
+      stop: 'error',
+      reload: 'error',
+      pause: 'error',
+      resume: 'error',
+      ...recovery,
+    }
+    this.#startTimeout = startTimeout
+    this.#stopTimeout = stopTimeout
+    this.#onTimeout = onTimeout
+    this.#concurrency = concurrency
+    this.#onArgsChange = onArgsChange
+    this.#argsEqual = argsEqual
+    this.#releaseDelay = releaseDelay
+    this.#drainTimeout = drainTimeout
+    this.#healthCheck = healthCheck
+    const interval = health.interval ?? 10_000
+    this.#health = {
+      interval,
+      timeout: interval,
+      unhealthyAfter: 3,
+      onUnhealthy: 'none',
+      ...health,
+    }
+    if (lazy) {
+      this.#lazy = {
+        args: /** @type {TStartArgs} */ (/** @type {unknown} */ ([])),
+        idleTimeout: Infinity,
+        ...(lazy === true ? {} : lazy),
+      }
+    }
+    if (retry) {
+      this.#retry = {
+        maxAttempts: 3,
+        initialDelay: 100,
+        maxDelay: 30_000,
+        factor: 2,
+        jitter: 0.5,
+        shouldRetry: () => true,
+        ...retry,
+      }
+    }
+  }
+
+  /**
+   * Create a state machine and start it, e.g. for `await using`:
+   *
+   * ```js
+   * await using sm = await StartStopStateMachine.started(opts, ...args)
+   * ```
+   *
+   * If the service fails to start, it is disposed of (see
+   * `[Symbol.asyncDispose]()`) and this rejects with the start error.
+   *
+   * @template {Array<any>} TStartArgs
+   * @template {Array<any>} TStopArgs
+   * @template [TStartResult=void]
+   * @template {Array<any>} [TReloadArgs=[]]
+   * @param {ConstructorParameters<typeof StartStopStateMachine<TStartArgs, TStopArgs, TStartResult, TReloadArgs>>[0]} opts
+   * @param {TStartArgs} args
+   * @returns {Promise<StartStopStateMachine<TStartArgs, TStopArgs, TStartResult, TReloadArgs>>}
+   */
+  static async started(opts, ...args) {
+    /** @type {StartStopStateMachine<TStartArgs, TStopArgs, TStartResult, TReloadArgs>} */
+    const sm = new StartStopStateMachine(opts)
+    try {
+      await sm.start(...args)
+    } catch (e) {
+      await sm[Symbol.asyncDispose]().catch(() => {})
+      throw e
+    }
+    return sm
+  }
+
+  /**
+   * The state, typed without the states from `opts.states` so that it can be
+   * narrowed. The built-in transitions handle those states before anything
+   * else.
+   *
+   * @returns {ServiceState}
+   */
+  get #state() {
+    return /** @type {ServiceState} */ (this.state)
+  }
+
+  /**
+   * @protected
+   * @param {ServiceState} state
+   */
+  _setState(state) {
+    // Only resolves promises, so does not matter that the state is not set yet
+    if (state.value === 'started')
+      this.#emitter.emit('started', this.#startResult)
+    else if (state.value === 'stopped') this.#emitter.emit('stopped')
+    else if (state.value === 'paused') this.#emitter.emit('paused')
+    else if (state.value === 'error')
+      this.#emitter.emit('internal-error', state.error)
+    this.#monitorHealth(state.value)
+    if (isStarted(state.value) !== isStarted(this.state.value)) {
+      this.#scheduleIdleStop(state.value)
+    }
+    super._setState(state)
+  }
+
+  /**
+   * Will resolve when the service is in started state. E.g. to ensure an async
+   * method only runs when the service is in "started" state, use:
+   *
+   * ```js
+   * await this.started()
+   * ```
+   *
+   * Will reject if the service is in "error" state, or with `opts.signal.reason`
+   * if `opts.signal` aborts. Resolves if the service is "degraded" or
+   * "unhealthy", or paused, since it is still started. Use `resumed()` to wait
+   * until it is not paused.
+   *
+   * Note: If the service is in "stopping" or "stopped" state this will queue
+   * until the next time the service starts, or with `opts.lazy`, call
+   * `start()`. If this is not desirable behaviour, check this.state.value
+   * first
+   *
+   * @param {CallOptions} [opts]
+   * @returns {Promise<TStartResult>} Resolves with the value returned by `opts.start()`
+   */
+  async started({ signal } = {}) {
+    if (isStarted(this.state.value)) return this.#startResult
+    if (this.#state.value === 'error') throw this.#state.error
+    const started = nextEvent(
+      this.#emitter,
+      ['started'],
+      ['internal-error'],
+      signal,
+    )
+    this.#lazyStart()
+    return started
+  }
+
+  /**
+   * Like `started()`, but waits while the service is "pausing", "paused" or
+   * "resuming", and resolves once it is started and not paused.
+   *
+   * @param {CallOptions} [opts]
+   * @returns {Promise<TStartResult>} Resolves with the value returned by `opts.start()`
+   */
+  async resumed({ signal } = {}) {
+    if (isRunning(this.state.value)) return this.#startResult
+    if (this.#state.value === 'error') throw this.#state.error
+    const resumed = nextEvent(
+      this.#emitter,
+      ['started'],
+      ['internal-error'],
+      signal,
+    )
+    this.#lazyStart()
+    return resumed
+  }
+
+  /**
+   * Will resolve when the service is in stopped state. Less useful than
+   * `started()` E.g. to ensure an async method only runs when the service is in
+   * "stopped" state, use:
+   *
+   * ```js
+   * await this.stopped()
+   * ```
+   *
+   * Will reject if the service is in "error" state, or with `opts.signal.reason`
+   * if `opts.signal` aborts.
+   *
+   * Note: If the service is in "starting" or "started" state this will queue
+   * until the next time the service stops. If this is not desirable behaviour,
+   * check this.state.value first
+   *
+   * @param {CallOptions} [opts]
+   * @returns {Promise<void>}
+   */
+  async stopped({ signal } = {}) {
+    if (this.state.value === 'stopped') return
+    if (this.#state.value === 'error') throw this.#state.error
+    return nextEvent(this.#emitter, ['stopped'], ['internal-error'], signal)
+  }
+
+  /**
+   * Get a version of `start()`, `stop()`, `restart()` and `reload()` that use
+   * these options:
+   *
+   * - `signal`: stop waiting and reject with `signal.reason` when `signal`
+   *   aborts. Aborting does not affect the service: the transition continues,
+   *   and the next call will coalesce with it as usual.
+   * - `timeout`: override `opts.startTimeout` or `opts.stopTimeout` for the
+   *   transition this call triggers (for `restart()`, for both). It has no
+   *   effect if the call coalesces with a transition that is already in
+   *   progress, or on `reload()`.
+   * - `persist`: set to `false` so that the call does not record the desired
+   *   state with `opts.persistence`, e.g. to stop the service because the
+   *   process is exiting, so that `restore()` starts it again.
+   *
+   * @param {TransitionOptions} opts
+   * @returns {{ start: (...args: TStartArgs) => Promise<TStartResult>, stop: (...args: TStopArgs) => Promise<void>, restart: (...args: TStartArgs) => Promise<TStartResult>, reload: (...args: TReloadArgs) => Promise<void> }}
+   */
+  withOptions({ signal, timeout, persist = true }) {
+    return {
+      start: (...args) =>
+        abortable(
+          () =>
+            this.#call(
+              'start',
+              () => this.#runStart(args, { timeout }),
+              persist ? { value: 'started', args } : undefined,
+            ),
+          signal,
+        ),
+      stop: (...args) =>
+        abortable(
+          () =>
+            this.#call(
+              'stop',
+              () => this.#runStop(args, { timeout }),
+              persist ? { value: 'stopped' } : undefined,
+            ),
+          signal,
+        ),
+      restart: (...args) =>
+        abortable(
+          () =>
+            this.#call(
+              'restart',
+              () => this.#runRestart(args, { timeout }),
+              persist ? { value: 'started', args } : undefined,
+            ),
+          signal,
+        ),
+      reload: (...args) => abortable(() => this.reload(...args), signal),
+    }
+  }
+
+  /**
+   * Register hooks that run around every start and stop, e.g. for logging,
+   * metrics or validating arguments. Hooks of the same kind run in the order
+   * they were registered. See `TransitionHooks` for when each hook is called,
+   * and what happens if it throws.
+   *
+   * @param {TransitionHooks<TStartArgs, TStopArgs, TStartResult>} hooks
+   * @returns {this}
+   */
+  use(hooks) {
+    this.#hooks.push(hooks)
+    return this
+  }
+
+  /**
+   * Run a transition by name: `transition('start', ...args)` is the same as
+   * `start(...args)`, and likewise for `stop()`, `restart()`, `reload()`,
+   * `pause()` and `resume()`.
+   *
+   * @template {keyof (StartStopTransitions<TStartArgs, TStopArgs, TStartResult, TReloadArgs> & TTransitions) & string} K
+   * @param {K} name
+   * @param {TransitionArgs<(StartStopTransitions<TStartArgs, TStopArgs, TStartResult, TReloadArgs> & TTransitions)[K]>} args
+   * @returns {Promise<TransitionResult<(StartStopTransitions<TStartArgs, TStopArgs, TStartResult, TReloadArgs> & TTransitions)[K]>>}
+   */
+  async transition(name, ...args) {
+    if (
+      !['start', 'stop', 'restart', 'reload', 'pause', 'resume'].includes(name)
+    ) {
+      return super.transition(name, ...args)
+    }
+    return /** @type {any} */ (this)[name](...args)
+  }
+
+  /**
+   * Start service. If the service is starting or started, will resolve when the
+   * service is started, and will not call opts.start() for than once. If the
+   * service is in the process of stopping, will wait until it stops before
+   * starting and will not call opts.stop() more than once. If `stop()` is
+   * called before the service has started, rejects with the abort reason.
+   * If the service was started with different arguments, `opts.onArgsChange`
+   * decides whether to ignore them, restart with them, or reject.
+   *
+   * @param {TStartArgs} args
+   * @returns {Promise<TStartResult>} Resolves with the value returned by `opts.start()` when the service is started
+   */
+  async start(...args) {
+    return this.#call('start', () => this.#runStart(args), {
+      value: 'started',
+      args,
+    })
+  }
+
+  /**
+   * @param {TStartArgs} args
+   * @param {{ timeout?: number }} [opts]
+   * @returns {Promise<TStartResult>}
+   */
+  async #runStart(args, { timeout = this.#startTimeout } = {}) {
+    if (this.#inCustomTransition()) {
+      await this.#idle()
+      return this.#runStart(args, { timeout })
+    }
+    // The states from opts.states are started states
+    if (isCustom(this.state.value))
+      return this.#startWhileStarted(args, timeout)
+    switch (this.#state.value) {
+      case 'restarting':
+        // This call is now the last, so the restart should start again
+        this.#cancelRestart = false
+      // falls through
+      case 'starting':
+      case 'retrying':
+      case 'reloading':
+        this._coalesce()
+        // Like started(), but also rejects if stop() aborts this start
+        await nextEvent(
+          this.#emitter,
+          ['started'],
+          ['internal-error', 'start-aborted'],
+        )
+        // Avoid race condition if another function is queued up
+        return this.#runStart(args, { timeout })
+      case 'started':
+      case 'degraded':
+      case 'unhealthy':
+      case 'pausing':
+      case 'paused':
+      case 'resuming':
+        return this.#startWhileStarted(args, timeout)
+      case 'error':
+        return Promise.reject(this.#state.error)
+      case 'stopping':
+        // Wait until stopped before continuing
+        await this.stopped()
+        // Avoid race condition if another function is queued up
+        return this.#runStart(args, { timeout })
+      case 'stopped':
+      default:
+      // Continue
+    }
+    this._beginTransition('start', args)
+    return this.#doStart(args, timeout, 'starting')
+  }
+
+  /**
+   * Apply `opts.onArgsChange` to a call to `start()` while the service is
+   * started
+   *
+   * @param {TStartArgs} args
+   * @param {number} timeout
+   * @returns {Promise<TStartResult>}
+   */
+  async #startWhileStarted(args, timeout) {
+    const startArgs = /** @type {TStartArgs} */ (this.#startArgs)
+    if (this.#onArgsChange === 'ignore' || this.#argsEqual(args, startArgs))
+      return this.#startResult
+    if (this.#onArgsChange === 'reject') {
+      throw new InvalidStateError(
+        'start',
+        this.state.value,
+        `Cannot start with different arguments while ${this.state.value}`,
+      )
+    }
+    return this.#runRestart(args, { timeout })
+  }
+
+  /**
+   * Call `opts.start()` (with any retries) and move to "started", or fail
+   *
+   * @param {TStartArgs} args
+   * @param {number} timeout
+   * @param {'starting' | 'restarting'} value The state while starting
+   * @returns {Promise<TStartResult>}
+   */
+  async #doStart(args, timeout, value) {
+    const controller = new AbortController()
+    this.#startController = controller
+    this.#startArgs = args
+    const clearTimer = this.#setTimer('start', timeout, controller)
+    try {
+      // A restart is already "restarting" after stopping
+      if (this.state.value !== value) this._setState({ value })
+      // A listener for the "state" event may have called stop()
+      controller.signal.throwIfAborted()
+      const start = () => this.#startWithHooks(args, controller.signal, value)
+      // Don't start until an earlier abandoned start has been stopped
+      const starting = this.#abandoned
+        ? this.#abandoned.then(() => {
+            controller.signal.throwIfAborted()
+            return start()
+          })
+        : start()
+      this.#starting = starting
+      this.#startResult = await abortable(() => starting, controller.signal)
+    } catch (e) {
+      clearTimer()
+      // This start was aborted and the service has already moved to "stopped"
+      if (this.#startController !== controller) throw e
+      // Timed out, so opts.start() may yet complete, and need stopping
+      if (controller.signal.aborted && this.#starting) {
+        this.#stopAbandoned(this.#starting)
+      }
+      this.#starting = undefined
+      throw await this.#fail('start', e, args)
+    }
+    clearTimer()
+    this.#starting = undefined
+    this._setState({ value: 'started' })
+    return this.#startResult
+  }
+
+  /**
+   * Stop the service. If the service is starting, aborts the signal passed to
+   * `opts.start()` and moves to "stopped" without waiting for `opts.start()`.
+   * If `opts.start()` completes anyway, `opts.stop()` is called once it has,
+   * and the next start waits for that.
+   *
+   * @param {TStopArgs} args
+   * @returns {Promise<void>}
+   */
+  async stop(...args) {
+    return this.#call('stop', () => this.#runStop(args), { value: 'stopped' })
+  }
+
+  /**
+   * Start the service on behalf of one of several consumers that share it.
+   * The service is started on the first call (or if it has since stopped),
+   * and stopped once every handle has been released, after waiting
+   * `opts.releaseDelay` in case it is acquired again.
+   *
+   * Calling `start()` and `stop()` directly still works as usual, so a call to
+   * `stop()` stops the service even if handles have not been released. Unlike
+   * those, `acquire()` and `release()` do not change the desired state saved
+   * by `opts.persistence`.
+   *
+   * ```js
+   * const handle = await sm.acquire()
+   * try {
+   *   useService(handle.result)
+   * } finally {
+   *   await handle.release()
+   * }
+   * ```
+   *
+   * @param {TStartArgs} args Passed to `opts.start()` if the service is not started
+   * @returns {Promise<ServiceHandle<TStartResult>>} Resolves once the service has started
+   */
+  async acquire(...args) {
+    this.#refCount++
+    clearTimeout(this.#releaseTimer)
+    /** @type {TStartResult} */
+    let result
+    try {
+      result = await this.#call('start', () => this.#runStart(args))
+    } catch (e) {
+      this.#refCount--
+      throw e
+    }
+    let released = false
+    /**
+     * Release the handle. Resolves once the service has stopped if this was
+     * the last handle and there is no `opts.releaseDelay`. Calling this again
+     * does nothing.
+     */
+    const release = async () => {
+      if (released) return
+      released = true
+      if (--this.#refCount > 0) return
+      const stopArgs = /** @type {TStopArgs} */ (/** @type {unknown} */ ([]))
+      const stop = () => this.#call('stop', () => this.#runStop(stopArgs))
+      if (this.#releaseDelay === 0) return stop()
+      this.#releaseTimer = setTimeout(() => {
+        stop().catch(() => {})
+      }, this.#releaseDelay)
+    }
+    return { result, release, [Symbol.asyncDispose]: release }
+  }
+
+  /**
+   * Guard an async method of the service: each call waits for `started()`
+   * (which, with `opts.lazy`, starts the service) before calling `fn`, and
+   * stopping the service waits for calls in flight to finish (see
+   * `opts.drainTimeout`) before calling `opts.stop()`. A call made while the
+   * service is "stopping" rejects with an `InvalidStateError`, unless
+   * `opts.whileStopping` is `'wait'`.
+   *
+   * While any calls are in flight the service is busy, so
+   * `opts.lazy.idleTimeout` does not stop it, and the idle timeout begins
+   * again once the last call finishes. `this` is passed through, so it can
+   * guard class methods:
+   *
+   * ```js
+   * this.query = sm.guard(this.query)
+   * ```
+   *
+   * @template {(...args: any[]) => Promise<any>} T
+   * @param {T} fn
+   * @param {GuardOptions} [opts]
+   * @returns {T}
+   */
+  guard(fn, { whileStopping = 'reject' } = {}) {
+    const sm = this
+    /**
+     * @this {unknown}
+     * @param {Parameters<T>} args
+     */
+    async function guarded(...args) {
+      sm.#inFlight++
+      sm.#scheduleIdleStop(sm.state.value)
+      try {
+        // The service can stop again before a call waiting for it resumes
+        while (!isStarted(sm.state.value)) {
+          if (whileStopping === 'reject' && sm.state.value === 'stopping') {
+            throw new InvalidStateError('call', 'stopping')
+          }
+          await sm.started()
+        }
+        const promise = fn.apply(this, args)
+        sm.#active.add(promise)
+        try {
+          return await promise
+        } finally {
+          sm.#active.delete(promise)
+        }
+      } finally {
+        sm.#inFlight--
+        sm.#scheduleIdleStop(sm.state.value)
+      }
+    }
+    return /** @type {T} */ (guarded)
+  }
+
+  /**
+   * The same as `guard(fn, { whileStopping: 'wait' })`: calls made while the
+   * service is "stopping" wait until it starts again.
+   *
+   * @template {(...args: any[]) => Promise<any>} T
+   * @param {T} fn
+   * @returns {T}
+   */
+  wrap(fn) {
+    return this.guard(fn, { whileStopping: 'wait' })
+  }
+
+  /**
+   * A method decorator that guards the method with `guard()`, for classes
+   * that extend `StartStopStateMachine`:
+   *
+   * ```js
+   * class Database extends StartStopStateMachine {
+   *   @StartStopStateMachine.guarded()
+   *   async query(sql) {}
+   * }
+   * ```
+   *
+   * @param {GuardOptions} [opts]
+   */
+  static guarded(opts) {
+    /**
+     * @template {(...args: any[]) => Promise<any>} T
+     * @param {T} fn
+     * @returns {T}
+     */
+    return (fn) =>
+      /** @type {T} */ (
+        /**
+         * @this {StartStopStateMachine<any, any, any, any>}
+         * @param {Parameters<T>} args
+         */
+        function (...args) {
+          return this.guard(fn, opts).apply(this, args)
+        }
+      )
+  }
+
+  /**
+   * The number of handles from `acquire()` that have not been released.
+   *
+   * @returns {number}
+   */
+  get refCount() {
+    return this.#refCount
+  }
+
+  /**
+   * The arguments of the last call that started the service, with `start()`
+   * or `restart()`, or `undefined` if it has never been started.
+   *
+   * @returns {TStartArgs | undefined}
+   */
+  get startArgs() {
+    return this.#startArgs
+  }
+
+  /**
+   * A description of the service that can be serialized with
+   * `JSON.stringify()`: the state it is meant to be in (from the last call to
+   * `start()`, `restart()` or `stop()`), the state it is actually in, and the
+   * arguments it was last started with. Errors are reduced to their `name`
+   * and `message`, as in `toJSON()`.
+   *
+   * @returns {ServiceSnapshot<TStartArgs, TCustomState>}
+   */
+  snapshot() {
+    return {
+      name: this.name,
+      desired: this.#desired,
+      state: this.toJSON().state,
+      startArgs: this.#startArgs,
+      timestamp: Date.now(),
+    }
+  }
+
+  /**
+   * Bring the service back to the desired state saved by `opts.persistence`,
+   * e.g. when the process starts after a crash: if the service was meant to
+   * be started, start it with the arguments it was meant to be started with.
+   * Otherwise, or if nothing was saved, resolves without doing anything.
+   * Restoring a `ServiceGroup` or `Supervisor` starts every service in it.
+   *
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    if (!this.#persistence) {
+      throw new Error('Cannot restore without opts.persistence')
+    }
+    const name = /** @type {string} */ (this.name)
+    const desired = (await this.#persistence.load(name))?.desired
+    if (desired?.value !== 'started') return
+    await this.start(.../** @type {TStartArgs} */ (desired.args))
+  }
+
+  /**
+   * Record the desired state, and save a snapshot with `opts.persistence`.
+   * Failures to save are emitted as warnings, rather than failing the call,
+   * so this never rejects.
+   *
+   * @param {DesiredState<TStartArgs>} desired
+   */
+  async #persist(desired) {
+    this.#desired = desired
+    if (!this.#persistence) return
+    const name = /** @type {string} */ (this.name)
+    try {
+      await this.#persistence.save(name, this.snapshot())
+    } catch (e) {
+      this.emit('warning', /** @type {Error} */ (e))
+    }
+  }
+
+  /**
+   * @param {TStopArgs} args
+   * @param {{ timeout?: number }} [opts]
+   * @returns {Promise<void>}
+   */
+  async #runStop(args, { timeout = this.#stopTimeout } = {}) {
+    if (this.#inCustomTransition()) {
+      await this.#idle()
+      return this.#runStop(args, { timeout })
+    }
+    switch (this.#state.value) {
+      case 'stopping':
+        this._coalesce()
+        await this.stopped()
+        return this.#runStop(args, { timeout })
+      case 'restarting':
+        if (this.#startController) return this.#stopStarting()
+        // Still stopping: stop there instead of starting again
+        this.#cancelRestart = true
+        return this.stopped()
+      case 'reloading':
+      case 'pausing':
+      case 'resuming':
+        await this.#settled()
+        return this.#runStop(args, { timeout })
+      case 'stopped':
+        return
+      case 'error':
+        return Promise.reject(this.#state.error)
+      case 'starting':
+      case 'retrying':
+        // Abort the in-flight start rather than waiting for it
+        return this.#stopStarting()
+      case 'started':
+      case 'degraded':
+      case 'unhealthy':
+      case 'paused':
+      default:
+      // Continue, also from the states from opts.states
+    }
+    this._beginTransition('stop', args)
+    await this.#doStop(args, timeout, 'stopping')
+    // Release the start result so a stopped service doesn't retain it
+    this.#startResult = /** @type {TStartResult} */ (undefined)
+    this._setState({ value: 'stopped' })
+  }
+
+  /**
+   * Abort the in-flight start for `stop()`, and wait for it to be stopped if
+   * `_stopWaitsForAbortedStart()`.
+   *
+   * @returns {Promise<void>}
+   */
+  async #stopStarting() {
+    this.#abortStart()
+    if (this._stopWaitsForAbortedStart()) await this.#abandoned
+  }
+
+  /**
+   * Whether `stop()` while starting resolves only once the aborted
+   * `opts.start()` has settled, and has been stopped if it completed anyway.
+   * `ServiceGroup` and `Supervisor` override this so that `stop()` resolves
+   * once the services they were starting have been stopped again.
+   *
+   * @protected
+   * @returns {boolean}
+   */
+  _stopWaitsForAbortedStart() {
+    return false
+  }
+
+  /**
+   * Call `opts.stop()`, or fail. Resolves once the service has stopped, but
+   * does not move to "stopped".
+   *
+   * @param {TStopArgs} args
+   * @param {number} timeout
+   * @param {'stopping' | 'restarting'} value The state while stopping
+   * @returns {Promise<void>}
+   */
+  async #doStop(args, timeout, value) {
+    const controller = new AbortController()
+    const clearTimer = this.#setTimer('stop', timeout, controller)
+    try {
+      this._setState({ value })
+      await abortable(async () => {
+        await this.#drain()
+        await this.#stopWithHooks(args, controller.signal)
+      }, controller.signal)
+    } catch (e) {
+      // Timed out, and opts.onTimeout is 'stop'
+      if (!(controller.signal.aborted && this.#onTimeout === 'stop')) {
+        throw await this.#fail('stop', e, args)
+      }
+    } finally {
+      clearTimer()
+    }
+  }
+
+  /**
+   * Wait for calls in flight to guarded methods to finish. After
+   * `opts.drainTimeout`, emit a `warning` event with a `TimeoutError` and stop
+   * waiting.
+   *
+   * @returns {Promise<void>}
+   */
+  async #drain() {
+    const drained = Promise.allSettled(this.#active)
+    if (this.#drainTimeout === Infinity) return void (await drained)
+    const controller = new AbortController()
+    const timedOut = await Promise.race([
+      drained.then(() => false),
+      delay(this.#drainTimeout, controller.signal).then(
+        () => true,
+        () => false,
+      ),
+    ])
+    controller.abort()
+    if (timedOut) {
+      this.emit('warning', new TimeoutError('drain', this.#drainTimeout))
+    }
+  }
+
+  /**
+   * Call `opts.start()` (with any retries) with the `beforeStart` and
+   * `afterStart` hooks around it
+   *
+   * @param {TStartArgs} args
+   * @param {AbortSignal} signal
+   * @param {'starting' | 'restarting'} value The state while starting
+   * @returns {Promise<TStartResult>}
+   */
+  async #startWithHooks(args, signal, value) {
+    for (const { beforeStart } of this.#hooks) {
+      args = (await beforeStart?.call({ signal }, args)) || args
+    }
+    const result = await this.#startWithRetry(args, signal, value)
+    for (const { afterStart } of this.#hooks) {
+      await afterStart?.call({ signal }, result, args)
+    }
+    return result
+  }
+
+  /**
+   * Call `opts.stop()` with the `beforeStop` and `afterStop` hooks around it
+   *
+   * @param {TStopArgs} args
+   * @param {AbortSignal} signal
+   * @returns {Promise<void>}
+   */
+  async #stopWithHooks(args, signal) {
+    for (const { beforeStop } of this.#hooks) {
+      args = (await beforeStop?.call({ signal }, args)) || args
+    }
+    await this.#stop.apply({ signal }, args)
+    for (const { afterStop } of this.#hooks) {
+      await afterStop?.call({ signal }, args)
+    }
+  }
+
+  /**
+   * Stop and then start the service as a single transition: the service is
+   * "restarting" until it has started again, and does not pass through
+   * "stopped", so `stopped()` does not resolve and other calls wait until the
+   * restart has finished. `args` are passed to `opts.start()`, and
+   * `opts.stop()` is called without arguments.
+   *
+   * If the service is stopped, this starts it. If it is starting, stopping or
+   * reloading, this waits for that to finish first. Calling `restart()` while
+   * the service is restarting coalesces with the restart in progress.
+   *
+   * @param {TStartArgs} args
+   * @returns {Promise<TStartResult>} Resolves with the value returned by `opts.start()` when the service has restarted
+   */
+  async restart(...args) {
+    return this.#call('restart', () => this.#runRestart(args), {
+      value: 'started',
+      args,
+    })
+  }
+
+  /**
+   * @param {TStartArgs} args
+   * @param {{ timeout?: number }} [opts]
+   * @returns {Promise<TStartResult>}
+   */
+  async #runRestart(args, { timeout } = {}) {
+    if (this.#inCustomTransition()) {
+      await this.#idle()
+      return this.#runRestart(args, { timeout })
+    }
+    switch (this.#state.value) {
+      case 'restarting':
+        this.#cancelRestart = false
+        this._coalesce()
+        await nextEvent(
+          this.#emitter,
+          ['started'],
+          ['internal-error', 'start-aborted'],
+        )
+        return this.#startResult
+      case 'starting':
+      case 'retrying':
+      case 'stopping':
+      case 'reloading':
+      case 'pausing':
+      case 'resuming':
+        await this.#settled()
+        return this.#runRestart(args, { timeout })
+      case 'error':
+        return Promise.reject(this.#state.error)
+      case 'stopped':
+        return this.#runStart(args, { timeout })
+      case 'started':
+      case 'degraded':
+      case 'unhealthy':
+      case 'paused':
+      default:
+      // Continue, also from the states from opts.states
+    }
+    // Tells stop() that opts.start() has not been called yet
+    this.#startController = undefined
+    this._beginTransition('restart', args)
+    await this.#doStop(
+      /** @type {TStopArgs} */ (/** @type {unknown} */ ([])),
+      timeout ?? this.#stopTimeout,
+      'restarting',
+    )
+    this.#startResult = /** @type {TStartResult} */ (undefined)
+    if (this.#cancelRestart) {
+      this.#cancelRestart = false
+      const controller = new AbortController()
+      this.#startController = controller
+      this.#abortStart()
+      throw controller.signal.reason
+    }
+    return this.#doStart(args, timeout ?? this.#startTimeout, 'restarting')
+  }
+
+  /**
+   * Reconfigure the started service in place by calling `opts.reload()`,
+   * without stopping it. The service is "reloading" until `opts.reload()`
+   * completes, and then "started" again.
+   *
+   * If the service is starting, stopping or restarting, this waits for that to
+   * finish first. Calling `reload()` while the service is reloading coalesces
+   * with the reload in progress. Rejects if the service is (or ends up)
+   * stopped, or if `opts.reload` was not passed to the constructor.
+   *
+   * @param {TReloadArgs} args
+   * @returns {Promise<void>}
+   */
+  async reload(...args) {
+    return this.#call('reload', () => this.#runReload(args))
+  }
+
+  /**
+   * @param {TReloadArgs} args
+   * @returns {Promise<void>}
+   */
+  async #runReload(args) {
+    const reload = this.#reload
+    if (!reload) throw new Error('Service does not support reload')
+    if (this.#inCustomTransition()) {
+      await this.#idle()
+      return this.#runReload(args)
+    }
+    // It would leave the state from opts.states
+    if (isCustom(this.state.value)) {
+      throw new InvalidStateError('reload', this.state.value)
+    }
+    switch (this.#state.value) {
+      case 'reloading':
+        this._coalesce()
+        await nextEvent(this.#emitter, ['started'], ['internal-error'])
+        return
+      case 'starting':
+      case 'retrying':
+      case 'stopping':
+      case 'restarting':
+      case 'pausing':
+      case 'resuming':
+        await this.#settled()
+        return this.#runReload(args)
+      case 'error':
+        return Promise.reject(this.#state.error)
+      case 'stopped':
+        throw new InvalidStateError('reload', 'stopped')
+      case 'paused':
+        throw new InvalidStateError('reload', 'paused')
+      case 'started':
+      case 'degraded':
+      case 'unhealthy':
+      default:
+      // Continue
+    }
+    this._beginTransition('reload', args)
+    try {
+      this._setState({ value: 'reloading' })
+      await reload.apply({ signal: new AbortController().signal }, args)
+    } catch (e) {
+      throw await this.#fail('reload', e, args)
+    }
+    this._setState({ value: 'started' })
+  }
+
+  /**
+   * Suspend the started service without stopping it by calling
+   * `opts.pause()`. The service is "pausing" until `opts.pause()` completes,
+   * and then "paused" until `resume()` or `stop()` is called.
+   *
+   * Calling `pause()` while the service is pausing coalesces with the pause in
+   * progress, and resolves immediately if it is already paused. Calling it
+   * while the service is resuming aborts the resume (the last call wins) and
+   * returns the service to "paused" without calling `opts.pause()` again. If
+   * the service is starting, stopping, restarting or reloading, this waits for
+   * that to finish first. Rejects if the service is (or ends up) stopped, or
+   * if `opts.pause` was not passed to the constructor.
+   *
+   * @returns {Promise<void>}
+   */
+  async pause() {
+    return this.#call('pause', () => this.#runPause())
+  }
+
+  /** @returns {Promise<void>} */
+  async #runPause() {
+    const pause = this.#pause
+    if (!pause) throw new Error('Service does not support pause')
+    if (this.#inCustomTransition()) {
+      await this.#idle()
+      return this.#runPause()
+    }
+    if (isCustom(this.state.value)) {
+      throw new InvalidStateError('pause', this.state.value)
+    }
+    switch (this.#state.value) {
+      case 'pausing':
+        this._coalesce()
+        await nextEvent(
+          this.#emitter,
+          ['paused'],
+          ['internal-error', 'suspend-aborted'],
+        )
+        return
+      case 'paused':
+        return
+      case 'resuming':
+        this.#abortSuspend('paused')
+        return
+      case 'starting':
+      case 'retrying':
+      case 'stopping':
+      case 'restarting':
+      case 'reloading':
+        await this.#settled()
+        return this.#runPause()
+      case 'error':
+        return Promise.reject(this.#state.error)
+      case 'stopped':
+        throw new InvalidStateError('pause', 'stopped')
+      case 'started':
+      case 'degraded':
+      case 'unhealthy':
+      default:
+      // Continue
+    }
+    await this.#suspend('pause', pause)
+  }
+
+  /**
+   * Resume the paused service by calling `opts.resume()`. The service is
+   * "resuming" until `opts.resume()` completes, and then "started" again.
+   *
+   * Follows the same rules as `pause()`: calling `resume()` while the service
+   * is resuming coalesces, it resolves immediately if the service is already
+   * started, and calling it while the service is pausing aborts the pause and
+   * returns the service to "started". Rejects if the service is (or ends up)
+   * stopped, or if `opts.resume` was not passed to the constructor.
+   *
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    return this.#call('resume', () => this.#runResume())
+  }
+
+  /** @returns {Promise<void>} */
+  async #runResume() {
+    const resume = this.#resume
+    if (!resume) throw new Error('Service does not support resume')
+    if (this.#inCustomTransition()) {
+      await this.#idle()
+      return this.#runResume()
+    }
+    if (isCustom(this.state.value)) {
+      throw new InvalidStateError('resume', this.state.value)
+    }
+    switch (this.#state.value) {
+      case 'resuming':
+        this._coalesce()
+        await nextEvent(
+          this.#emitter,
+          ['started'],
+          ['internal-error', 'suspend-aborted'],
+        )
+        return
+      case 'started':
+      case 'degraded':
+      case 'unhealthy':
+        return
+      case 'pausing':
+        this.#abortSuspend('started')
+        return
+      case 'starting':
+      case 'retrying':
+      case 'stopping':
+      case 'restarting':
+      case 'reloading':
+        await this.#settled()
+        return this.#runResume()
+      case 'error':
+        return Promise.reject(this.#state.error)
+      case 'stopped':
+        throw new InvalidStateError('resume', 'stopped')
+      case 'paused':
+      default:
+      // Continue
+    }
+    await this.#suspend('resume', resume)
+  }
+
+  /**
+   * Call `opts.pause()` or `opts.resume()`, moving through "pausing" or
+   * "resuming" to "paused" or "started". If the call is aborted by
+   * `#abortSuspend()` the state has already moved on, so only the caller's
+   * promise rejects.
+   *
+   * @param {'pause' | 'resume'} kind
+   * @param {(this: TransitionContext) => Promise<void>} fn
+   */
+  async #suspend(kind, fn) {
+    const controller = new AbortController()
+    this.#suspendController = controller
+    this._beginTransition(kind, [])
+    this._setState({ value: kind === 'pause' ? 'pausing' : 'resuming' })
+    try {
+      const { signal } = controller
+      await abortable(() => fn.call({ signal }), signal)
+    } catch (e) {
+      if (this.#suspendController !== controller) throw e
+      this.#suspendController = undefined
+      throw await this.#fail(kind, e, [])
+    }
+    this.#suspendController = undefined
+    this._setState({ value: kind === 'pause' ? 'paused' : 'started' })
+  }
+
+  /**
+   * Start health checks when the service has started, and end them when it is
+   * no longer started.
+   *
+   * @param {string} value The new state of the service
+   */
+  #monitorHealth(value) {
+    const check = this.#healthCheck
+    if (!check) return
+    const started = isRunning(value)
+    if (started === Boolean(this.#healthController)) return
+    if (started) {
+      this.#healthController = new AbortController()
+      this.#checkHealth(check, this.#healthController.signal)
+    } else {
+      this.#healthController?.abort()
+      this.#healthController = undefined
+    }
+  }
+
+  /**
+   * With `opts.lazy`, call `start()` if the service is stopped or stopping,
+   * without changing the desired state. Failures reject anyone waiting with
+   * `started()`, so are not thrown here.
+   */
+  #lazyStart() {
+    const value = this.state.value
+    if (!this.#lazy || (value !== 'stopped' && value !== 'stopping')) return
+    const args = this.#lazy.args
+    this.#call('start', () => this.#runStart(args)).catch(() => {})
+  }
+
+  /**
+   * Restart the timer for `opts.lazy.idleTimeout`, if the service is started
+   * and no calls to wrapped methods are in flight, or clear it otherwise.
+   *
+   * @param {string} value The state of the service
+   */
+  #scheduleIdleStop(value) {
+    clearTimeout(this.#idleTimer)
+    const idleTimeout = this.#lazy?.idleTimeout ?? Infinity
+    if (idleTimeout === Infinity || this.#inFlight > 0 || !isStarted(value)) {
+      return
+    }
+    this.#idleTimer = setTimeout(() => {
+      // Handles from acquire() stop the service when they are released
+      if (this.#refCount > 0) return
+      const args = /** @type {TStopArgs} */ (/** @type {unknown} */ ([]))
+      this.#call('stop', () => this.#runStop(args)).catch(() => {})
+    }, idleTimeout)
+  }
+
+  /**
+   * Call `opts.healthCheck()` every `opts.health.interval` until `signal`
+   * aborts, and update the state with the results.
+   *
+   * @param {(this: TransitionContext, result: TStartResult) => Promise<void>} check
+   * @param {AbortSignal} signal Aborted when the service is no longer started
+   */
+  async #checkHealth(check, signal) {
+    const { interval, timeout, unhealthyAfter, onUnhealthy } = this.#health
+    let failures = 0
+    while (true) {
+      try {
+        await delay(interval, signal)
+      } catch {
+        return
+      }
+      const controller = new AbortController()
+      const onAbort = () => controller.abort(signal.reason)
+      signal.addEventListener('abort', onAbort)
+      const timer = setTimeout(
+        () => controller.abort(new TimeoutError('health check', timeout)),
+        timeout,
+      )
+      /** @type {Error | undefined} */
+      let error
+      try {
+        await abortable(
+          () => check.call({ signal: controller.signal }, this.#startResult),
+          controller.signal,
+        )
+      } catch (e) {
+        error = /** @type {Error} */ (e)
+      }
+      clearTimeout(timer)
+      signal.removeEventListener('abort', onAbort)
+      if (signal.aborted) return
+      if (!error) {
+        if (failures > 0) {
+          failures = 0
+          this._setState({ value: 'started' })
+          this.emit('health', { status: 'healthy' })
+        }
+        continue
+      }
+      failures++
+      const value = failures < unhealthyAfter ? 'degraded' : 'unhealthy'
+      this._setState({ value, failures, error })
+      this.emit('health', { status: value, failures, error })
+      if (failures !== unhealthyAfter) continue
+      switch (onUnhealthy) {
+        case 'restart': {
+          const args = /** @type {TStartArgs} */ (this.#startArgs)
+          this.#call('restart', () => this.#runRestart(args)).catch(() => {})
+          break
+        }
+        case 'stop': {
+          const args = /** @type {TStopArgs} */ (/** @type {unknown} */ ([]))
+          this.#call('stop', () => this.#runStop(args)).catch(() => {})
+          break
+        }
+        case 'error':
+          this.#setError('health check', error, [])
+          break
+        case 'none':
+        default:
+        // Keep checking
+      }
+    }
+    /* c8 ignore next */
+  }
+
+  /**
+   * Apply `opts.concurrency` to a call to one of the transition methods, and
+   * then call `run()` to run it.
+   *
+   * @template T
+   * @param {'start' | 'stop' | 'restart' | 'reload' | 'pause' | 'resume'} name
+   * @param {() => Promise<T>} run
+   * @param {DesiredState<TStartArgs>} [desired] Recorded with `opts.persistence` just before `run()`, so not if the call is rejected or superseded. The call settles once it has been saved
+   * @returns {Promise<T>}
+   */
+  async #call(name, run, desired) {
+    if (desired) {
+      const runCall = run
+      run = async () => {
+        // Begin saving before run(), so that saves are in the order of calls
+        const saved = this.#persist(desired)
+        try {
+          return await runCall()
+        } finally {
+          await saved
+        }
+      }
+    }
+    switch (this.#concurrency) {
+      case 'latest-wins':
+        return this.#supersede(name, run)
+      case 'reject-while-busy':
+        if (this._isIntermediate(this.state.value)) {
+          throw new BusyError(name, this.state.value)
+        }
+        return run()
+      case 'serialize-all': {
+        const result = this.#queue.then(run)
+        this.#queue = result.then(
+          () => {},
+          () => {},
+        )
+        return result
+      }
+      case 'coalesce':
+      default:
+        return run()
+    }
+  }
+
+  /**
+   * The "latest-wins" policy: reject the call that is waiting for its turn,
+   * if any, then wait for the transition in progress to finish before calling
+   * `run()`, unless the call aborts it.
+   *
+   * @template T
+   * @param {'start' | 'stop' | 'restart' | 'reload' | 'pause' | 'resume'} name
+   * @param {() => Promise<T>} run
+   * @returns {Promise<T>}
+   */
+  async #supersede(name, run) {
+    this.#latest?.abort(new AbortError('Superseded by a later call'))
+    const controller = new AbortController()
+    this.#latest = controller
+    const { value } = this.#state
+    const starting = value === 'starting' || value === 'retrying'
+    if (starting && (name === 'start' || name === 'restart')) {
+      this.#abortStart()
+    } else if (this._isIntermediate(value) && !ABORTS[name].includes(value)) {
+      await this.#idle(controller.signal)
+    }
+    if (this.#latest === controller) this.#latest = undefined
+    return run()
+  }
+
+  /**
+   * Resolve once no transition is in progress, or reject with `signal.reason`
+   * if `signal` aborts first.
+   *
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  async #idle(signal) {
+    await this.waitFor((state) => !this._isIntermediate(state.value), {
+      signal,
+    })
+  }
+
+  /**
+   * Whether a transition from `opts.transitions` is in progress. The built-in
+   * transitions wait for it to finish, and then follow their rules for the
+   * state it ends in.
+   *
+   * @returns {boolean}
+   */
+  #inCustomTransition() {
+    const { value } = this.state
+    return isCustom(value) && this._isIntermediate(value)
+  }
+
+  /**
+   * Resolve once the transition in progress has finished, whether the service
+   * ends up started, stopped, paused, or in the error state.
+   *
+   * @returns {Promise<void>}
+   */
+  async #settled() {
+    await nextEvent(
+      this.#emitter,
+      ['started', 'stopped', 'paused', 'internal-error'],
+      [],
+    )
+  }
+
+  /**
+   * Abort the in-flight start and move to "stopped" without waiting for
+   * `opts.start()`. If `opts.start()` completes anyway, it is stopped with
+   * `#stopAbandoned()`.
+   *
+   * @param {any} [reason] Defaults to an `AbortError`
+   */
+  #abortStart(reason = new AbortError()) {
+    const controller = /** @type {AbortController} */ (this.#startController)
+    this.#startController = undefined
+    if (this.#starting) this.#stopAbandoned(this.#starting)
+    this.#starting = undefined
+    controller.abort(reason)
+    this.#emitter.emit('start-aborted', controller.signal.reason)
+    this._setState({ value: 'stopped' })
+  }
+
+  /**
+   * Once a start that was abandoned by `#abortStart()`, or that timed out, has
+   * finished, call
+   * `opts.stop()` (with its hooks) if it succeeded, so that whatever it set up
+   * is released. A failure to stop is emitted as a `warning` event. The next
+   * start waits for this.
+   *
+   * @param {Promise<TStartResult>} starting
+   */
+  #stopAbandoned(starting) {
+    const stopped = starting
+      .then(
+        () =>
+          this.#stopWithHooks(
+            /** @type {TStopArgs} */ (/** @type {unknown} */ ([])),
+            new AbortController().signal,
+          ),
+        // The start failed, so there is nothing to stop
+        () => {},
+      )
+      .catch((e) => {
+        this.emit('warning', e)
+      })
+    const abandoned = Promise.all([this.#abandoned, stopped]).then(() => {
+      if (this.#abandoned === abandoned) this.#abandoned = undefined
+    })
+    this.#abandoned = abandoned
+  }
+
+  /**
+   * Abort the pause or resume in progress and return to the state it started
+   * from, without waiting for `opts.pause()` or `opts.resume()`.
+   *
+   * @param {'started' | 'paused'} value The state before the pause or resume
+   */
+  #abortSuspend(value) {
+    const controller = /** @type {AbortController} */ (this.#suspendController)
+    this.#suspendController = undefined
+    controller.abort(new AbortError())
+    this.#emitter.emit('suspend-aborted', controller.signal.reason)
+    this._setState({ value })
+  }
+
+  /**
+   * Start a timer for a transition. When it fires, emit a `warning` event with
+   * a `TimeoutError` and then apply `opts.onTimeout`.
+   *
+   * @param {'start' | 'stop'} transition
+   * @param {number} ms
+   * @param {AbortController} controller The controller for the transition's signal
+   * @returns {() => void} Clears the timer
+   */
+  #setTimer(transition, ms, controller) {
+    if (ms === Infinity) return () => {}
+    const timer = setTimeout(() => {
+      const error = new TimeoutError(transition, ms)
+      this.emit('warning', error)
+      if (this.#onTimeout === 'wait') return
+      if (this.#onTimeout === 'stop' && transition === 'start') {
+        this.#abortStart(error)
+      } else {
+        controller.abort(error)
+      }
+    }, ms)
+    return () => clearTimeout(timer)
+  }
+
+  /**
+   * Recover from the "error" state: calls `opts.cleanup()` with the error and
+   * moves the service to "stopped", so that it can be started again. Resolves
+   * immediately if the service is already "stopped". If `opts.cleanup()`
+   * throws, the service stays in the "error" state with that error.
+   *
+   * Concurrent calls share the same call to `opts.cleanup()`.
+   *
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    if (this.#resetting) return this.#resetting
+    switch (this.#state.value) {
+      case 'stopped':
+        return
+      case 'error':
+        break
+      default:
+        throw new InvalidStateError('reset', this.state.value)
+    }
+    const { error } = this.#state
+    this.#resetting = (async () => {
+      try {
+        await this.#cleanup.call(this, error)
+        this.#startResult = /** @type {TStartResult} */ (undefined)
+        this._setState({ value: 'stopped' })
+      } catch (e) {
+        throw this.#setError('cleanup', e, [error])
+      } finally {
+        this.#resetting = undefined
+      }
+    })()
+    return this.#resetting
+  }
+
+  /**
+   * Stop the service, e.g. when it goes out of scope with `await using`, and
+   * end any `watch()` iterations and pending stop after `opts.releaseDelay`.
+   * The stop follows `opts.concurrency`, but does not change the desired
+   * state.
+   *
+   * In the "error" state this calls `reset()` to run `opts.cleanup()`, and
+   * then rejects with the error from the error state, so that the failure is
+   * not lost. (If the scope is exiting because of another error, `await using`
+   * combines both in a `SuppressedError`.) If `opts.cleanup()` throws, it
+   * rejects with that error instead.
+   *
+   * @returns {Promise<void>}
+   */
+  async [Symbol.asyncDispose]() {
+    clearTimeout(this.#releaseTimer)
+    clearTimeout(this.#idleTimer)
+    try {
+      if (this.#state.value !== 'error') {
+        const args = /** @type {TStopArgs} */ (/** @type {unknown} */ ([]))
+        return await this.#call('stop', () => this.#runStop(args))
+      }
+      const { error } = this.#state
+      await this.reset()
+      throw error
+    } finally {
+      await super[Symbol.asyncDispose]()
+    }
+  }
+
+  /**
+   * Call `opts.start()`, retrying according to `opts.retry`. Rejects with the
+   * error from the last attempt once there are no retries left.
+   *
+   * @param {TStartArgs} args
+   * @param {AbortSignal} signal
+   * @param {'starting' | 'restarting'} value The state to return to after each retry delay
+   * @returns {Promise<TStartResult>}
+   */
+  async #startWithRetry(args, signal, value) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.#start.apply({ signal }, args)
+      } catch (e) {
+        const error = /** @type {Error} */ (e)
+        const retry = this.#retry
+        if (
+          signal.aborted ||
+          !retry ||
+          attempt >= retry.maxAttempts ||
+          !retry.shouldRetry(error, attempt)
+        ) {
+          throw error
+        }
+        const ms = backoffDelay(retry, attempt)
+        this._setState({ value: 'retrying', attempt, delay: ms, error })
+        await delay(ms, signal)
+        this._setState({ value })
+      }
+    }
+    /* c8 ignore next */
+  }
+
+  /**
+   * Move to the "error" state (which rejects anyone waiting on the failed
+   * transition), call the `onError` hooks, then apply the recovery policy for
+   * this kind of failure.
+   *
+   * @param {'start' | 'stop' | 'reload' | 'pause' | 'resume'} kind
+   * @param {unknown} cause What the transition threw
+   * @param {Array<any>} args The arguments of the transition
+   * @returns {Promise<TransitionError>} The error of the "error" state, to reject with
+   */
+  async #fail(kind, cause, args) {
+    const revertTo = /** @type {const} */ ({
+      start: 'stopped',
+      stop: 'started',
+      reload: 'started',
+      pause: 'started',
+      resume: 'paused',
+    })
+    const error = this.#setError(kind, cause, args)
+    for (const { onError } of this.#hooks) {
+      try {
+        await onError?.(error, kind)
+      } catch (e) {
+        this.emit('warning', /** @type {Error} */ (e))
+      }
+    }
+    switch (this.#recovery[kind]) {
+      case 'revert':
+        this._setState({ value: revertTo[kind] })
+        break
+      case 'reset':
+        // The caller gets the error of the transition, not any error from cleanup
+        await this.reset().catch(() => {})
+        break
+      case 'error':
+      default:
+      // Stay in error state
+    }
+    return error
+  }
+
+  /**
+   * Move to the "error" state with an error that wraps `cause`.
+   *
+   * @param {FailedTransition} transition
+   * @param {unknown} cause
+   * @param {Array<any>} args
+   * @returns {TransitionError}
+   */
+  #setError(transition, cause, args) {
+    const error =
+      transition === 'start'
+        ? new StartError(cause)
+        : transition === 'stop'
+          ? new StopError(cause)
+          : new TransitionError(transition, cause)
+    this._setState({
+      value: 'error',
+      error,
+      transition,
+      args,
+      timestamp: Date.now(),
+    })
+    return error
+  }
+}
+
+/**
+ * The states of every `StartStopStateMachine`, apart from "error"
+ *
+ * @private
+ * @type {ServiceStateValue[]}
+ */
+const STATES = [
+  'stopped',
+  'starting',
+  'retrying',
+  'started',
+  'degraded',
+  'unhealthy',
+  'stopping',
+  'restarting',
+  'reloading',
+  'pausing',
+  'paused',
+  'resuming',
+]
+
+/**
+ * The transitions in progress that a call aborts rather than waits for. With
+ * the "latest-wins" policy these calls run straight away.
+ *
+ * @private
+ * @type {Record<'start' | 'stop' | 'restart' | 'reload' | 'pause' | 'resume', ServiceStateValue[]>}
+ */
+const ABORTS = {
+  start: [],
+  stop: ['starting', 'retrying', 'restarting'],
+  restart: [],
+  reload: [],
+  pause: ['resuming'],
+  resume: ['pausing'],
+}
+
+/**
+ * Check that the transitions from `opts.transitions` begin from and end in
+ * started states, and pass through their own states, and make each `run()`
+ * fail with a `TransitionError`, like the built-in transitions.
+ *
+ * @private
+ * @template {Record<string, CustomTransitionDefinition>} T
+ * @param {T} transitions
+ * @returns {T}
+ */
+function customTransitions(transitions) {
+  /** @type {Record<string, CustomTransitionDefinition>} */
+  const result = {}
+  for (const [name, definition] of Object.entries(transitions)) {
+    if (name in ABORTS) throw new Error(`Transition "${name}" is built in`)
+    const { from, via, to, run } = definition
+    const builtIn = [
+      ...from.filter(
+        (value) =>
+          !['started', 'degraded', 'unhealthy', 'paused'].includes(value),
+      ),
+      ...[via].flat(),
+      ...[to].filter((value) => value !== 'started' && value !== 'paused'),
+    ].find((value) => !isCustom(value))
+    if (builtIn) {
+      throw new Error(`Transition "${name}" cannot use state "${builtIn}"`)
+    }
+    result[name] = run
+      ? {
+          ...definition,
+          async run(...args) {
+            try {
+              return await run.apply(this, args)
+            } catch (e) {
+              throw new TransitionError(name, e)
+            }
+          },
+        }
+      : definition
+  }
+  return /** @type {T} */ (result)
+}
+
+/**
+ * Resolve with the argument of the first of `resolveEvents` emitted, or reject
+ * with the argument of the first of `rejectEvents` emitted, or with
+ * `signal.reason` if `signal` aborts first.
+ *
+ * @private
+ * @param {TypedEmitter<any>} emitter
+ * @param {string[]} resolveEvents
+ * @param {string[]} rejectEvents
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+function nextEvent(emitter, resolveEvents, rejectEvents, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    for (const event of resolveEvents) emitter.on(event, onResolve)
+    for (const event of rejectEvents) emitter.on(event, onReject)
+    signal?.addEventListener('abort', onAbort)
+    function removeListeners() {
+      for (const event of resolveEvents) emitter.off(event, onResolve)
+      for (const event of rejectEvents) emitter.off(event, onReject)
+      signal?.removeEventListener('abort', onAbort)
+    }
+    /** @param {any} value */
+    function onResolve(value) {
+      removeListeners()
+      resolve(value)
+    }
+    /** @param {any} reason */
+    function onReject(reason) {
+      removeListeners()
+      reject(reason)
+    }
+    function onAbort() {
+      onReject(signal?.reason)
+    }
+  })
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {boolean} Whether `value` is a state from `opts.states`
+ */
+function isCustom(value) {
+  return value !== 'error' && !STATES.includes(/** @type {any} */ (value))
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {boolean} Whether the service is started and not paused, whether or not it is healthy
+ */
+function isRunning(value) {
+  return value === 'started' || value === 'degraded' || value === 'unhealthy'
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {boolean} Whether the service is started, including while paused or in a state from `opts.states`
+ */
+function isStarted(value) {
+  return (
+    isRunning(value) ||
+    value === 'pausing' ||
+    value === 'paused' ||
+    value === 'resuming' ||
+    isCustom(value)
+  )
+}
+
+/**
+ * @private
+ * @param {Array<any>} a
+ * @param {Array<any>} b
+ * @returns {boolean} Whether the arrays are the same length and each element is `Object.is()` the element at the same index of the other
+ */
+function shallowEqual(a, b) {
+  return a.length === b.length && a.every((value, i) => Object.is(value, b[i]))
+}
+
+/**
+ * Resolve after `ms` milliseconds, or reject with `signal.reason` (and clear
+ * the timer) if `signal` aborts first.
+ *
+ * @private
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal.addEventListener('abort', onAbort)
+    function onAbort() {
+      clearTimeout(timeout)
+      reject(signal.reason)
+    }
+  })
+}
+
+/**
+ * @private
+ * @param {Required<RetryOptions>} retry
+ * @param {number} attempt Number of attempts so far
+ * @returns {number} Delay in milliseconds before the next attempt
+ */
+function backoffDelay(retry, attempt) {
+  const { initialDelay, maxDelay, factor, jitter } = retry
+  const base = Math.min(maxDelay, initialDelay * factor ** (attempt - 1))
+  return Math.round(base * (1 - jitter * Math.random()))
+}
+
+export default StartStopStateMachine
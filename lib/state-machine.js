@@ -0,0 +1,836 @@
+import { TypedEmitter } from 'tiny-typed-emitter'
+import { AbortError, InvalidStateError, TimeoutError } from './errors.js'
+
+/**
+ * The "error" state: the error that a transition failed with, the name of the
+ * transition, the arguments it was called with, and when it failed (in
+ * milliseconds since the epoch).
+ *
+ * @template {string} [TTransition=string]
+ * @typedef {{ value: 'error', error: Error, transition: TTransition, args: Array<any>, timestamp: number }} ErrorState
+ */
+
+/**
+ * The state of a machine with states `TState`, or the "error" state.
+ *
+ * @template {string} TState
+ * @typedef {{ value: Exclude<TState, 'error'> } | ErrorState} MachineState
+ */
+
+/**
+ * Transition handlers are called with a transition context as `this`.
+ * `signal` is aborted if the transition is abandoned, e.g. when `stop()` is
+ * called while the service is starting. The handler should then release
+ * anything it has acquired and reject.
+ *
+ * @typedef {Object} TransitionContext
+ * @property {AbortSignal} signal
+ */
+
+/**
+ * An entry in a transition table. The machine can begin the transition from
+ * any of the `from` states, is in the `via` state while `run()` is in
+ * progress, and then moves to the `to` state. If `run()` throws, the machine
+ * moves to the "error" state.
+ *
+ * `via` can also be an array, if the machine can pass through other
+ * intermediate states during the transition: it begins in the first of them.
+ *
+ * @template {string} TState
+ * @template {Array<any>} [TArgs=Array<any>]
+ * @template [TResult=any]
+ * @typedef {Object} TransitionDefinition
+ * @property {TState[]} from States that the transition can begin from
+ * @property {TState | TState[]} via The state while the transition is in progress
+ * @property {TState} to The state once the transition has finished
+ * @property {(this: TransitionContext, ...args: TArgs) => Promise<TResult>} [run] Called with the arguments of the call that began the transition. By default the transition does nothing but change state
+ * @property {boolean} [abortable=false] Whether a call to a transition back to the state this one began from abandons it, aborting the signal passed to `run()`. Only set this if `run()` can be abandoned part way, e.g. it releases what it has acquired when the signal aborts. Otherwise that call waits for this transition to finish
+ */
+
+/**
+ * @template {string} TState
+ * @typedef {Record<string, TransitionDefinition<TState>>} TransitionTable
+ */
+
+/**
+ * @template T
+ * @typedef {T extends { run?: infer F } ? (NonNullable<F> extends (...args: infer A) => any ? A : []) : []} TransitionArgs
+ */
+
+/**
+ * @template T
+ * @typedef {T extends { run?: infer F } ? (NonNullable<F> extends (...args: any[]) => Promise<infer R> ? R : void) : void} TransitionResult
+ */
+
+/**
+ * An entry in the transition history (see `opts.history`), recorded for every
+ * change of state. A transition begins with a call to a transition method,
+ * and ends when the machine is next in a state that is not the `via` state of
+ * a transition.
+ *
+ * @template {string} [TValue=string]
+ * @typedef {Object} HistoryEntry
+ * @property {TValue} from
+ * @property {TValue} to
+ * @property {number} timestamp When the state changed, in milliseconds since the epoch
+ * @property {Array<any>} [args] On the first entry of a transition: the arguments of the call that began it
+ * @property {number} [duration] On the last entry of a transition: how long it took, in milliseconds, including any retries and hooks
+ * @property {number} [coalesced] On the last entry of a transition: the number of calls that coalesced with it, rather than beginning a new transition
+ * @property {Error} [error] The error of the new state, if it has one
+ */
+
+/**
+ * Callbacks for exporting metrics and traces, passed as `opts.instrumentation`.
+ * Each is optional, and is called synchronously as the machine changes state.
+ *
+ * @typedef {Object} Instrumentation
+ * @property {(event: TransitionBeginEvent) => void} [onTransitionBegin] Called when a transition begins
+ * @property {(event: TransitionEndEvent) => void} [onTransitionEnd] Called when a transition ends in any state other than "error"
+ * @property {(event: TransitionErrorEvent) => void} [onTransitionError] Called when the machine moves to the "error" state
+ * @property {(event: StateChangeEvent) => void} [onStateChange] Called on every change of state, with how long the machine was in the previous state
+ */
+
+/**
+ * @typedef {Object} TransitionBeginEvent
+ * @property {string | undefined} service The `opts.name` of the machine
+ * @property {string} transition
+ * @property {string} from The state the transition began from
+ * @property {Array<any>} args The arguments of the call that began the transition
+ * @property {number} timestamp In milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} TransitionEndEvent
+ * @property {string | undefined} service The `opts.name` of the machine
+ * @property {string} transition
+ * @property {string} to The state the transition ended in
+ * @property {number} duration How long the transition took, in milliseconds, including any retries and hooks
+ * @property {number} coalesced The number of calls that coalesced with the transition
+ * @property {number} timestamp In milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} TransitionErrorEvent
+ * @property {string | undefined} service The `opts.name` of the machine
+ * @property {string} transition The transition in progress, or for a failure outside a transition (e.g. a health check), the `transition` of the "error" state
+ * @property {Error} error The error of the "error" state
+ * @property {number | undefined} duration How long the transition took before it failed, in milliseconds. `undefined` for a failure outside a transition
+ * @property {number} timestamp In milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} StateChangeEvent
+ * @property {string | undefined} service The `opts.name` of the machine
+ * @property {string} from
+ * @property {string} to
+ * @property {number} duration How long the machine was in the `from` state, in milliseconds
+ * @property {number} timestamp In milliseconds since the epoch
+ */
+
+/**
+ * @typedef {{ name: string, message: string }} SerializedError
+ */
+/**
+ * @template T
+ * @typedef {T extends { error: Error } ? Omit<T, 'error'> & { error: SerializedError } : T} WithSerializedError
+ */
+/**
+ * @template {string} [TValue=string]
+ * @typedef {Omit<HistoryEntry<TValue>, 'error'> & { error?: SerializedError }} HistoryEntryJSON
+ */
+
+/**
+ * @template {{ value: string }} TStateObject
+ * @typedef {Object} WatchOptions
+ * @property {(state: TStateObject) => boolean} [filter] Only yield states for which this returns `true`
+ * @property {AbortSignal} [signal] End iteration when this aborts
+ */
+
+/**
+ * @typedef {Object} WaitForOptions
+ * @property {number} [timeout] Reject with a `TimeoutError` if no matching state is reached within this many milliseconds. By default there is no timeout
+ * @property {AbortSignal} [signal] Stop waiting and reject with `signal.reason` when this aborts
+ * @property {'wait' | 'resolve' | 'reject'} [ifMovingAway='wait'] What to do if the machine is in a transition to a state that does not match: keep waiting until a later transition, resolve straight away with the current state, or reject with an `InvalidStateError`
+ */
+
+/**
+ * @template {{ value: string }} TStateObject
+ * @typedef {Object} StateMachineEvents
+ * @property {(state: TStateObject) => void} state
+ * @property {(error: Error) => void} error Emitted once for each failure, after the `state` event for the "error" state. Unlike other emitters, the machine does not throw if there is no listener
+ * @property {(error: Error) => void} warning Emitted with any error thrown by an `opts.instrumentation` callback
+ */
+
+/**
+ * @template T
+ * @typedef {import('tiny-typed-emitter').ListenerSignature<T>} ListenerSignature
+ */
+
+/**
+ * @private
+ * @typedef {Object} Transition
+ * @property {string} name
+ * @property {Array<any>} args
+ * @property {number} startedAt
+ * @property {number} coalesced
+ */
+
+/**
+ * @private
+ * @typedef {Object} RunningTransition
+ * @property {string} name
+ * @property {string} from The state the transition began from
+ * @property {string} to
+ * @property {boolean} abortable
+ * @property {AbortController} controller
+ * @property {Promise<any>} promise Settles when `run()` does, or rejects when the transition is abandoned
+ */
+
+/**
+ * A state machine defined by a transition table. Each transition is run with
+ * `transition(name, ...args)`, following the same rules as `start()` and
+ * `stop()` of a `StartStopStateMachine`:
+ *
+ * - Calling a transition while it is in progress does not run it again, but
+ *   resolves once it has finished.
+ * - Calling a transition when the machine is already in its `to` state (and
+ *   it cannot begin from that state) resolves straight away and does nothing.
+ * - Calling a transition while another is in progress waits for that to finish
+ *   first, unless the other would end in the same state, in which case it
+ *   resolves once that has finished.
+ * - The last call wins: calling a transition that would return the machine to
+ *   the state that the transition in progress began from aborts the signal
+ *   passed to its `run()` and moves straight back to that state, if the
+ *   transition in progress is `abortable`. Pending calls to the abandoned
+ *   transition reject with the abort reason. Otherwise, e.g. for a teardown
+ *   that must finish, the call waits for the transition to finish first.
+ * - If `run()` throws, the machine is left in the "error" state, and calls to
+ *   any transition reject with the error until `reset()` is called.
+ * - Calling a transition in any other state rejects.
+ *
+ * ```js
+ * const sm = new StateMachineEngine({
+ *   states: ['open', 'draining', 'drained'],
+ *   initial: 'open',
+ *   transitions: {
+ *     drain: { from: ['open'], via: 'draining', to: 'drained', run: drain },
+ *   },
+ * })
+ * await sm.transition('drain')
+ * ```
+ *
+ * @template {string} TState
+ * @template {TransitionTable<TState>} TTransitions
+ * @template {{ value: string, error?: Error }} [TStateObject=MachineState<TState>]
+ * @template {StateMachineEvents<TStateObject> & ListenerSignature<TEvents>} [TEvents=StateMachineEvents<TStateObject>]
+ * @extends {TypedEmitter<TEvents>}
+ */
+export class StateMachineEngine extends TypedEmitter {
+  /** @type {TStateObject} */
+  #state
+  #initial
+  /** @type {TTransitions} */
+  #transitions
+  /**
+   * The state that each transition's `via` states lead to
+   *
+   * @type {Map<string, TState>}
+   */
+  #targets = new Map()
+  /** @type {RunningTransition | undefined} */
+  #running
+  /**
+   * The last transition to complete, and its result
+   *
+   * @type {{ name: string, value: any } | undefined}
+   */
+  #result
+  /** @type {Transition | undefined} */
+  #transition
+  /** @type {HistoryEntry<TStateObject['value']>[]} */
+  #history = []
+  #historySize
+  #name
+  #instrumentation
+  /** When the machine moved to the current state */
+  #enteredAt = Date.now()
+  /**
+   * Functions that end each `watch()` iteration in progress
+   *
+   * @type {Set<() => void>}
+   */
+  #watchers = new Set()
+
+  /**
+   * @param {Object} opts
+   * @param {TState[]} opts.states Every state of the machine, apart from "error"
+   * @param {TState} opts.initial The state the machine begins in, and returns to on `reset()`
+   * @param {TTransitions} opts.transitions The transitions between states, by name
+   * @param {number} [opts.history=0] Number of entries to keep in the transition history. By default no history is kept
+   * @param {string} [opts.name] Name of the machine, passed to `opts.instrumentation`
+   * @param {Instrumentation} [opts.instrumentation] Callbacks for exporting metrics and traces of each transition and change of state
+   */
+  constructor({
+    states,
+    initial,
+    transitions,
+    history = 0,
+    name,
+    instrumentation,
+  }) {
+    super()
+    for (const [name, { from, via, to }] of Object.entries(transitions)) {
+      for (const value of [...from, ...toArray(via), to]) {
+        if (!states.includes(value)) {
+          throw new Error(`Transition "${name}" uses unknown state "${value}"`)
+        }
+      }
+      for (const value of toArray(via)) this.#targets.set(value, to)
+    }
+    this.#state = this.#stateWith(initial)
+    this.#initial = initial
+    this.#transitions = transitions
+    this.#historySize = history
+    this.#name = name
+    this.#instrumentation = instrumentation
+  }
+
+  /**
+   * The `opts.name` of the machine
+   *
+   * @returns {string | undefined}
+   */
+  get name() {
+    return this.#name
+  }
+
+  /**
+   * Get the current state of the machine.
+   *
+   * @returns {TStateObject}
+   */
+  get state() {
+    return this.#state
+  }
+
+  /**
+   * The most recent changes of state, oldest first, up to `opts.history`
+   * entries.
+   *
+   * @returns {HistoryEntry<TStateObject['value']>[]}
+   */
+  get history() {
+    return [...this.#history]
+  }
+
+  /**
+   * A snapshot of the current state and the transition history that can be
+   * serialized with `JSON.stringify()`. Errors are reduced to their `name` and
+   * `message`.
+   *
+   * @returns {{ state: WithSerializedError<TStateObject>, history: HistoryEntryJSON<TStateObject['value']>[] }}
+   */
+  toJSON() {
+    return {
+      state: withSerializedError(this.#state),
+      history: this.#history.map(withSerializedError),
+    }
+  }
+
+  /**
+   * Iterate over the state of the machine: first the current state, and then
+   * each new state as the machine changes state. States are buffered from the
+   * time `watch()` is called, so none are missed between iterations. Iteration
+   * ends when `opts.signal` aborts, or when the loop exits (e.g. with `break`).
+   *
+   * ```js
+   * for await (const state of sm.watch()) {
+   *   console.log(state.value)
+   * }
+   * ```
+   *
+   * @param {WatchOptions<TStateObject>} [opts]
+   * @returns {AsyncIterableIterator<TStateObject>}
+   */
+  watch({ filter = () => true, signal } = {}) {
+    /** @type {TStateObject[]} */
+    const queue = [this.#state]
+    let done = false
+    /** @type {(value: void) => void} */
+    let notify
+    let changed = new Promise((resolve) => (notify = resolve))
+    const onChange = () => {
+      notify()
+      changed = new Promise((resolve) => (notify = resolve))
+    }
+    /** @param {TStateObject} state */
+    const onState = (state) => {
+      queue.push(state)
+      onChange()
+    }
+    const end = () => {
+      done = true
+      this.#watchers.delete(end)
+      this.#events.off('state', onState)
+      signal?.removeEventListener('abort', end)
+      onChange()
+    }
+    this.#events.on('state', onState)
+    this.#watchers.add(end)
+    signal?.addEventListener('abort', end)
+    if (signal?.aborted) end()
+    return {
+      async next() {
+        while (!done) {
+          const state = queue.shift()
+          if (!state) await changed
+          else if (filter(state)) return { value: state, done: false }
+        }
+        return { value: undefined, done: true }
+      },
+      async return() {
+        end()
+        return { value: undefined, done: true }
+      },
+      [Symbol.asyncIterator]() {
+        return this
+      },
+    }
+  }
+
+  /**
+   * A [`ReadableStream`](https://developer.mozilla.org/en-US/docs/Web/API/ReadableStream)
+   * of the state of the machine, like `watch()`. The stream closes when
+   * `opts.signal` aborts, and cancelling the stream stops watching the
+   * machine.
+   *
+   * @param {WatchOptions<TStateObject>} [opts]
+   * @returns {ReadableStream<TStateObject>}
+   */
+  toReadableStream(opts) {
+    const states = this.watch(opts)
+    return new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await states.next()
+        if (done) controller.close()
+        else controller.enqueue(value)
+      },
+      async cancel() {
+        await states.return?.()
+      },
+    })
+  }
+
+  /**
+   * Resolve with the state of the machine once it matches `predicate`, which
+   * is straight away if the current state matches. This does not reject in
+   * the "error" state, so it can be used to wait for any state.
+   *
+   * If the machine is in a transition that ends in a state that does not
+   * match (e.g. waiting for "started" while the service is "stopping"), by
+   * default this waits for a later transition. Set `opts.ifMovingAway` to
+   * `'resolve'` or `'reject'` to not wait in that case.
+   *
+   * @param {(state: TStateObject) => boolean} predicate
+   * @param {WaitForOptions} [opts]
+   * @returns {Promise<TStateObject>}
+   */
+  async waitFor(
+    predicate,
+    { timeout = Infinity, signal, ifMovingAway = 'wait' } = {},
+  ) {
+    signal?.throwIfAborted()
+    const current = this.#state
+    const target = this.#targets.get(current.value)
+    if (
+      ifMovingAway !== 'wait' &&
+      !predicate(current) &&
+      target &&
+      !predicate(this.#stateWith(target))
+    ) {
+      if (ifMovingAway === 'resolve') return current
+      throw new InvalidStateError(
+        'waitFor',
+        current.value,
+        `Service is ${current.value}, which does not lead to the state waited for`,
+      )
+    }
+    const controller = new AbortController()
+    const onAbort = () => controller.abort(signal?.reason)
+    signal?.addEventListener('abort', onAbort)
+    const timer =
+      timeout === Infinity
+        ? undefined
+        : setTimeout(
+            () => controller.abort(new TimeoutError('state', timeout)),
+            timeout,
+          )
+    try {
+      const states = this.watch({
+        filter: predicate,
+        signal: controller.signal,
+      })
+      for await (const state of states) return state
+      throw controller.signal.reason
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  /**
+   * Resolve once the machine is in the state with this `value`, which is
+   * straight away if it is now. Can wait for any state, including the
+   * intermediate states of transitions and "error". Takes the same options as
+   * `waitFor()`.
+   *
+   * @param {TStateObject['value']} value
+   * @param {WaitForOptions} [opts]
+   * @returns {Promise<TStateObject>}
+   */
+  async waitForState(value, opts) {
+    return this.waitFor((state) => state.value === value, opts)
+  }
+
+  /**
+   * Run the transition `name` from the transition table with `args`,
+   * following the rules above. Resolves with the result of its `run()` once
+   * the machine is in its `to` state. If the machine was already there, and
+   * this transition was the last to complete, resolves with its result from
+   * then.
+   *
+   * @template {keyof TTransitions & string} K
+   * @param {K} name
+   * @param {TransitionArgs<TTransitions[K]>} args
+   * @returns {Promise<TransitionResult<TTransitions[K]>>}
+   */
+  async transition(name, ...args) {
+    const definition = this.#transitions[name]
+    if (!definition) throw new Error(`Unknown transition "${name}"`)
+    const { from, to } = definition
+    const state = this.#state
+    if (state.value === 'error') throw state.error
+    if (this.#targets.has(state.value)) {
+      const running = this.#running
+      if (
+        running &&
+        (running.name === name || (running.to === to && !from.includes(to)))
+      ) {
+        this._coalesce()
+        await running.promise
+      } else if (running?.abortable && running.from === to) {
+        // The last call wins: abandon the transition in progress
+        this.#abort(running)
+      } else {
+        await this.#settled()
+      }
+      // Avoid race condition if another function is queued up
+      return this.transition(name, ...args)
+    }
+    if (!from.includes(/** @type {TState} */ (state.value))) {
+      if (state.value !== to) {
+        throw new InvalidStateError(name, state.value)
+      }
+      return this.#result?.name === name
+        ? this.#result.value
+        : /** @type {any} */ (undefined)
+    }
+    return this.#run(name, definition, args)
+  }
+
+  /**
+   * Recover from the "error" state by returning to the initial state. Resolves
+   * immediately if the machine is already in the initial state, and rejects in
+   * any other state.
+   *
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    const { value } = this.#state
+    if (value === this.#initial) return
+    if (value !== 'error') throw new InvalidStateError('reset', value)
+    this.#result = undefined
+    this._setState(this.#stateWith(this.#initial))
+  }
+
+  /**
+   * End any `watch()` iterations, e.g. when the machine goes out of scope with
+   * `await using`.
+   *
+   * @returns {Promise<void>}
+   */
+  async [Symbol.asyncDispose]() {
+    for (const end of this.#watchers) end()
+  }
+
+  /**
+   * @protected
+   * @param {TStateObject} state
+   */
+  _setState(state) {
+    this.#record(this.#state.value, state)
+    this.#state = state
+    this.#events.emit('state', state)
+    if (state.value === 'error' && this.listenerCount('error') > 0) {
+      this.#events.emit('error', /** @type {Error} */ (state.error))
+    }
+  }
+
+  /**
+   * Begin recording a transition in the history.
+   *
+   * @protected
+   * @param {string} name The name of the transition
+   * @param {Array<any>} args The arguments of the call that begins the transition
+   */
+  _beginTransition(name, args) {
+    this.#transition = { name, args, startedAt: Date.now(), coalesced: 0 }
+  }
+
+  /**
+   * Count a call that coalesced with the transition in progress.
+   *
+   * @protected
+   */
+  _coalesce() {
+    const transition = /** @type {Transition} */ (this.#transition)
+    transition.coalesced++
+  }
+
+  /**
+   * @param {string} value
+   * @returns {TStateObject} A state with `value` and no other properties
+   */
+  #stateWith(value) {
+    return /** @type {any} */ ({ value })
+  }
+
+  /**
+   * @protected
+   * @param {string} value
+   * @returns {boolean} Whether `value` is the intermediate state of a transition
+   */
+  _isIntermediate(value) {
+    return this.#targets.has(value)
+  }
+
+  /**
+   * This, typed as an emitter of the events that every state machine emits
+   *
+   * @returns {TypedEmitter<StateMachineEvents<TStateObject>>}
+   */
+  get #events() {
+    return /** @type {any} */ (this)
+  }
+
+  /**
+   * @param {string} name
+   * @param {TransitionDefinition<TState>} definition
+   * @param {Array<any>} args
+   */
+  async #run(name, definition, args) {
+    const { via, to, run = async () => {} } = definition
+    const controller = new AbortController()
+    this._beginTransition(name, args)
+    const from = this.#state.value
+    this._setState(this.#stateWith(toArray(via)[0]))
+    const promise = abortable(
+      () => run.apply({ signal: controller.signal }, args),
+      controller.signal,
+    )
+    /** @type {RunningTransition} */
+    const running = {
+      name,
+      from,
+      to,
+      abortable: definition.abortable ?? false,
+      controller,
+      promise,
+    }
+    this.#running = running
+    try {
+      const result = await promise
+      this.#running = undefined
+      this.#result = { name, value: result }
+      this._setState(this.#stateWith(to))
+      return result
+    } catch (e) {
+      // Unless this transition was abandoned, and the machine has moved on
+      if (this.#running === running) {
+        this.#running = undefined
+        /** @type {ErrorState} */
+        const state = {
+          value: 'error',
+          error: /** @type {Error} */ (e),
+          transition: name,
+          args,
+          timestamp: Date.now(),
+        }
+        this._setState(/** @type {any} */ (state))
+      }
+      throw e
+    }
+  }
+
+  /**
+   * Abort the transition in progress and move straight back to the state it
+   * began from, without waiting for its `run()`.
+   *
+   * @param {RunningTransition} running
+   */
+  #abort(running) {
+    this.#running = undefined
+    running.controller.abort(new AbortError())
+    this._setState(this.#stateWith(running.from))
+  }
+
+  /**
+   * Resolve once the machine is next in a state that is not the `via` state
+   * of a transition.
+   *
+   * @returns {Promise<void>}
+   */
+  async #settled() {
+    await this.waitFor((state) => !this._isIntermediate(state.value))
+  }
+
+  /**
+   * Add an entry to the history for a change of state, and end the transition
+   * in progress if the new state is not an intermediate one.
+   *
+   * @param {TStateObject['value']} from
+   * @param {TStateObject} state
+   */
+  #record(from, state) {
+    const transition = this.#transition
+    /** @type {HistoryEntry<TStateObject['value']>} */
+    const entry = { from, to: state.value, timestamp: Date.now() }
+    if (transition && !this.#targets.has(from)) entry.args = transition.args
+    if (transition && !this.#targets.has(state.value)) {
+      entry.duration = entry.timestamp - transition.startedAt
+      entry.coalesced = transition.coalesced
+      this.#transition = undefined
+    }
+    if (state.error) entry.error = state.error
+    this.#instrument(entry, transition, state)
+    if (this.#historySize === 0) return
+    this.#history.push(entry)
+    if (this.#history.length > this.#historySize) this.#history.shift()
+  }
+
+  /**
+   * Report a change of state to `opts.instrumentation`, and the beginning or
+   * end of the transition it is part of.
+   *
+   * @param {HistoryEntry<TStateObject['value']>} entry
+   * @param {Transition | undefined} transition
+   * @param {TStateObject} state
+   */
+  #instrument(entry, transition, state) {
+    const { from, to, timestamp, args, duration, coalesced, error } = entry
+    const enteredAt = this.#enteredAt
+    this.#enteredAt = timestamp
+    const instrumentation = this.#instrumentation
+    if (!instrumentation) return
+    const service = this.#name
+    /**
+     * @template T
+     * @param {((event: T) => void) | undefined} callback
+     * @param {T} event
+     */
+    const call = (callback, event) => {
+      try {
+        callback?.call(instrumentation, event)
+      } catch (e) {
+        this.#events.emit('warning', /** @type {Error} */ (e))
+      }
+    }
+    call(instrumentation.onStateChange, {
+      service,
+      from,
+      to,
+      duration: timestamp - enteredAt,
+      timestamp,
+    })
+    if (transition && args) {
+      call(instrumentation.onTransitionBegin, {
+        service,
+        transition: transition.name,
+        from,
+        args,
+        timestamp,
+      })
+    }
+    if (to === 'error') {
+      call(instrumentation.onTransitionError, {
+        service,
+        transition: transition?.name ?? /** @type {any} */ (state).transition,
+        error: /** @type {Error} */ (error),
+        duration,
+        timestamp,
+      })
+    } else if (transition && duration !== undefined) {
+      call(instrumentation.onTransitionEnd, {
+        service,
+        transition: transition.name,
+        to,
+        duration,
+        coalesced: /** @type {number} */ (coalesced),
+        timestamp,
+      })
+    }
+  }
+}
+
+/**
+ * @private
+ * @template T
+ * @param {T | T[]} value
+ * @returns {T[]}
+ */
+function toArray(value) {
+  return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * @private
+ * @param {{ error?: Error }} value
+ * @returns {any} `value`, with any `error` reduced to its `name` and `message`
+ */
+function withSerializedError(value) {
+  if (!value.error) return value
+  const { name, message } = value.error
+  return { ...value, error: { name, message } }
+}
+
+/**
+ * Call `fn()` and settle the same way, unless `signal` aborts first, in which
+ * case reject with `signal.reason`. Does not call `fn()` if `signal` is
+ * already aborted.
+ *
+ * @private
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+export function abortable(fn, signal) {
+  if (!signal) return fn()
+  if (signal.aborted) return Promise.reject(signal.reason)
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', onAbort)
+    fn().then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(value)
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort)
+        reject(error)
+      },
+    )
+    function onAbort() {
+      reject(signal?.reason)
+    }
+  })
+}
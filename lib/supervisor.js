@@ -0,0 +1,252 @@
+import StartStopStateMachine from './start-stop-state-machine.js'
+import { InvalidStateError, RestartIntensityError } from './errors.js'
+
+/**
+ * @typedef {StartStopStateMachine<any, any, any>} Service
+ */
+
+/**
+ * Which children to restart when a child fails:
+ *
+ * - `'one-for-one'`: only the child that failed
+ * - `'one-for-all'`: every child
+ * - `'rest-for-one'`: the child that failed, and every child added after it
+ *
+ * @typedef {'one-for-one' | 'one-for-all' | 'rest-for-one'} RestartStrategy
+ */
+
+/**
+ * The most restarts a supervisor makes in a period before it gives up. One
+ * more failure in the period escalates: the supervisor stops its children and
+ * moves to the "error" state.
+ *
+ * @typedef {Object} RestartIntensity
+ * @property {number} [maxRestarts=3] Maximum number of restarts in `period`
+ * @property {number} [period=5000] Milliseconds over which restarts are counted
+ */
+
+/**
+ * Supervise a set of services, restarting them when they fail. Register each
+ * child with `supervisor.add(name, service)`. Starting the supervisor starts
+ * the children one at a time, in the order they were added, and stopping it
+ * stops them in the reverse order.
+ *
+ * While the supervisor is started, a child that moves to the "error" state
+ * (or becomes "unhealthy", see `opts.health`) is restarted according to
+ * `opts.strategy`: the children to restart are stopped in reverse order (a
+ * child in "error" is reset with `reset()` instead), and then started again in
+ * order. If a child fails to start again, it is restarted again in turn. If
+ * there are more than `opts.intensity.maxRestarts` restarts within
+ * `opts.intensity.period`, the supervisor stops every child and moves to the
+ * "error" state with a `RestartIntensityError`.
+ *
+ * A supervisor is itself a `StartStopStateMachine`, so supervisors can be
+ * added to other supervisors to build a supervision tree: a supervisor that
+ * gives up is restarted by its own supervisor.
+ *
+ * @extends {StartStopStateMachine<[], [], void>}
+ */
+export class Supervisor extends StartStopStateMachine {
+  /** @type {Map<string, Service>} */
+  #children = new Map()
+  #strategy
+  /** @type {Required<RestartIntensity>} */
+  #intensity
+  /**
+   * When each restart in the current period happened
+   *
+   * @type {number[]}
+   */
+  #restarts = []
+  /**
+   * Settles once every start, stop and restart of the children that has been
+   * queued has finished, so that they run one at a time
+   *
+   * @type {Promise<void>}
+   */
+  #queue = Promise.resolve()
+
+  /**
+   * @param {Omit<NonNullable<ConstructorParameters<typeof StartStopStateMachine<[], [], void>>[0]>, 'start' | 'stop' | 'reload' | 'pause' | 'resume'> & { strategy?: RestartStrategy, intensity?: RestartIntensity }} [opts] Options for the supervisor's state machine, e.g. `startTimeout`, and `opts.strategy` (defaults to `'one-for-one'`) and `opts.intensity`
+   */
+  constructor({ strategy = 'one-for-one', intensity = {}, ...opts } = {}) {
+    /** @type {Supervisor} */
+    let supervisor
+    super({
+      ...opts,
+      async start() {
+        const { signal } = this
+        return supervisor.#enqueue(() => supervisor.#startAll(signal))
+      },
+      async stop() {
+        return supervisor.#enqueue(() => supervisor.#stopAll())
+      },
+    })
+    supervisor = this
+    this.#strategy = strategy
+    this.#intensity = { maxRestarts: 3, period: 5000, ...intensity }
+  }
+
+  /**
+   * Add a child to the supervisor. Children can only be added while the
+   * supervisor is stopped.
+   *
+   * @param {string} name
+   * @param {Service} service
+   * @returns {this}
+   */
+  add(name, service) {
+    if (this.state.value !== 'stopped') {
+      throw new InvalidStateError('add', this.state.value)
+    }
+    if (this.#children.has(name)) {
+      throw new Error(`Child "${name}" has already been added`)
+    }
+    this.#children.set(name, service)
+    service.on('state', ({ value }) => {
+      if (value !== 'error' && value !== 'unhealthy') return
+      this.#enqueue(() => this.#restart(name))
+    })
+    return this
+  }
+
+  /**
+   * Get a child that was added to the supervisor.
+   *
+   * @param {string} name
+   * @returns {Service | undefined}
+   */
+  get(name) {
+    return this.#children.get(name)
+  }
+
+  /**
+   * Run `fn` once everything queued before it has finished.
+   *
+   * @param {() => Promise<void>} fn
+   * @returns {Promise<void>}
+   */
+  #enqueue(fn) {
+    const promise = this.#queue.then(fn)
+    this.#queue = promise.catch(() => {})
+    return promise
+  }
+
+  /**
+   * Restart the child `name` and any others according to `opts.strategy`, if
+   * the supervisor is started and the child has not since recovered, or
+   * escalate if there have been too many restarts.
+   *
+   * @param {string} name
+   */
+  async #restart(name) {
+    const child = /** @type {Service} */ (this.#children.get(name))
+    const { value } = child.state
+    if (!isSupervising(this.state.value)) return
+    if (value !== 'error' && value !== 'unhealthy') return
+    const { maxRestarts, period } = this.#intensity
+    const now = Date.now()
+    this.#restarts = this.#restarts.filter((time) => now - time < period)
+    if (this.#restarts.length >= maxRestarts) {
+      const cause = /** @type {Error} */ (child.state.error)
+      const error = new RestartIntensityError(name, maxRestarts, period, cause)
+      await this.#stopAll().catch(() => {})
+      this._setState({
+        value: 'error',
+        error,
+        transition: 'supervision',
+        args: [],
+        timestamp: Date.now(),
+      })
+      return
+    }
+    this.#restarts.push(now)
+    const names = [...this.#children.keys()]
+    const restarting =
+      this.#strategy === 'one-for-one'
+        ? [name]
+        : this.#strategy === 'one-for-all'
+          ? names
+          : names.slice(names.indexOf(name))
+    try {
+      for (const other of [...restarting].reverse()) {
+        await shutdown(/** @type {Service} */ (this.#children.get(other)))
+      }
+      for (const other of restarting) {
+        await /** @type {Service} */ (this.#children.get(other)).start()
+      }
+    } catch {
+      // A child that fails moves to the "error" state, so is restarted in turn
+    }
+  }
+
+  /**
+   * `stop()` while starting resolves once the children that have started are
+   * stopped again.
+   *
+   * @protected
+   * @returns {boolean}
+   */
+  _stopWaitsForAbortedStart() {
+    return true
+  }
+
+  /**
+   * Start the children in order. If one fails to start, or the supervisor's
+   * start is aborted, stop the children that have started and reject.
+   *
+   * @param {AbortSignal} signal
+   */
+  async #startAll(signal) {
+    this.#restarts = []
+    /** @type {Service[]} */
+    const started = []
+    try {
+      for (const child of this.#children.values()) {
+        signal.throwIfAborted()
+        if (child.state.value === 'error') await child.reset()
+        await child.start()
+        started.push(child)
+      }
+      signal.throwIfAborted()
+    } catch (e) {
+      // Failures to stop are left in the state of each child
+      for (const child of started.reverse()) await child.stop().catch(() => {})
+      throw e
+    }
+  }
+
+  /**
+   * Stop the children in reverse order, and reject with the first error if
+   * any fail to stop.
+   */
+  async #stopAll() {
+    /** @type {unknown[]} */
+    const errors = []
+    for (const child of [...this.#children.values()].reverse()) {
+      await child.stop().catch((e) => errors.push(e))
+    }
+    if (errors.length > 0) throw errors[0]
+  }
+}
+
+/**
+ * @private
+ * @param {string} value The state of the supervisor
+ * @returns {boolean} Whether the supervisor is started, and so restarts children
+ */
+function isSupervising(value) {
+  return value === 'started' || value === 'degraded' || value === 'unhealthy'
+}
+
+/**
+ * Stop a child, or reset it if it is in the "error" state.
+ *
+ * @private
+ * @param {Service} child
+ * @returns {Promise<void>}
+ */
+async function shutdown(child) {
+  if (child.state.value === 'error') return child.reset()
+  return child.stop()
+}
@@ -1,5 +1,32 @@
 import test from 'tape'
-import StartStopStateMachine from './index.js'
+import diagnosticsChannel from 'node:diagnostics_channel'
+import { EventEmitter, once } from 'node:events'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { MessageChannel } from 'node:worker_threads'
+import StartStopStateMachine, {
+  AbortError,
+  BusyError,
+  InvalidStateError,
+  RemoteStateMachine,
+  RestartIntensityError,
+  ServiceGroup,
+  StartError,
+  StateMachineEngine,
+  StopError,
+  Supervisor,
+  TimeoutError,
+  TransitionError,
+  gracefulShutdown,
+  hostStateMachine,
+} from './index.js'
+import {
+  channels,
+  diagnosticsChannelInstrumentation,
+} from 'start-stop-state-machine/diagnostics-channel'
+import { filePersistence } from 'start-stop-state-machine/persistence'
 
 // * - Calling `start()` when the service is "stopped" calls the `opts.start()` method
 // *   and resolves when it completes.
@@ -125,22 +152,22 @@ test('Calling `start()` or `stop()` when the service is in "error" state will th
     await service.start()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'start() throws with error from error state')
+    t.equal(e.cause, testError, 'start() throws with error from error state')
   }
   try {
     await service.start()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'start() throws with error from error state')
+    t.equal(e.cause, testError, 'start() throws with error from error state')
   }
   try {
     await service.stop()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'stop() throws with error from error state')
+    t.equal(e.cause, testError, 'stop() throws with error from error state')
   }
   t.equal(startCount, 1, 'Only called opts.start() once when first threw')
-  t.deepEqual(service.state, { value: 'error', error: testError })
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: testError })
 })
 
 test('Multiple calls to `start()` or `stop()` when the service is in "error" state will throw the same error', async (t) => {
@@ -160,7 +187,7 @@ test('Multiple calls to `start()` or `stop()` when the service is in "error" sta
       await service.start()
       t.fail('should not reach here')
     } catch (e) {
-      t.equal(e, testError, 'start() throws with error from error state')
+      t.equal(e.cause, testError, 'start() throws with error from error state')
     }
   }
   for (let i = 0; i < 10; i++) {
@@ -168,11 +195,11 @@ test('Multiple calls to `start()` or `stop()` when the service is in "error" sta
       await service.stop()
       t.fail('Should not reach here')
     } catch (e) {
-      t.equal(e, testError, 'stop() throws with error from error state')
+      t.equal(e.cause, testError, 'stop() throws with error from error state')
     }
   }
   t.equal(stopCount, 0, 'opts.stop() is never called due to error state')
-  t.deepEqual(service.state, { value: 'error', error: testError })
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: testError })
 })
 
 test('Awaiting started() when service is starting, but subsequently errors, throws', async (t) => {
@@ -186,14 +213,14 @@ test('Awaiting started() when service is starting, but subsequently errors, thro
   const startPromise = service
     .start()
     .catch((e) =>
-      t.equal(e, testError, 'start() throws with error from error state'),
+      t.equal(e.cause, testError, 'start() throws with error from error state'),
     )
   t.equal(service.state.value, 'starting', 'in starting state')
   try {
     await service.started()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'started() throws with error from error state')
+    t.equal(e.cause, testError, 'started() throws with error from error state')
   }
   await startPromise
 })
@@ -210,14 +237,14 @@ test('Awaiting stopped() when service is stopping, but subsequently errors, thro
   const stopPromise = service
     .stop()
     .catch((e) =>
-      t.equal(e, testError, 'stop() throws with error from error state'),
+      t.equal(e.cause, testError, 'stop() throws with error from error state'),
     )
   t.equal(service.state.value, 'stopping', 'in stopping state')
   try {
     await service.stopped()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'stopped() throws with error from error state')
+    t.equal(e.cause, testError, 'stopped() throws with error from error state')
   }
   await stopPromise
 })
@@ -260,19 +287,19 @@ test('Awaiting `started()` or `stopped()` when the service is in "error" state w
     await service.start()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'start() throws with error from error state')
+    t.equal(e.cause, testError, 'start() throws with error from error state')
   }
   try {
     await service.started()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'started() throws with error from error state')
+    t.equal(e.cause, testError, 'started() throws with error from error state')
   }
   try {
     await service.stopped()
     t.fail('should not reach here')
   } catch (e) {
-    t.equal(e, testError, 'stopped() throws with error from error state')
+    t.equal(e.cause, testError, 'stopped() throws with error from error state')
   }
 })
 
@@ -397,9 +424,11 @@ test('Calling start() and stop() multiple times ends in expected state', async (
       started = false
     },
   })
-  service.start()
+  // stop() aborts these starts, so they reject with an AbortError
+  const aborted = []
+  service.start().catch((e) => aborted.push(e.name))
   await nextTick()
-  service.start()
+  service.start().catch((e) => aborted.push(e.name))
   await nextTick()
   service.stop()
   await nextTick()
@@ -409,11 +438,14 @@ test('Calling start() and stop() multiple times ends in expected state', async (
 
   service.stop()
   await nextTick()
-  service.start()
+  service.start().catch((e) => aborted.push(e.name))
   await nextTick()
   await service.stop()
   t.false(started, 'service is stopped')
   t.deepEqual(service.state, { value: 'stopped' })
+  // The aborted start() rejects after stop() resolves
+  await nextTick()
+  t.deepEqual(aborted, ['AbortError', 'AbortError', 'AbortError'])
 })
 
 test('start() resolves with the value returned by opts.start()', async (t) => {
@@ -515,6 +547,5240 @@ test('stop() releases the start result so it is not retained while stopped', asy
   t.equal(ref.deref(), undefined, 'start result is not retained after stop()')
 })
 
-async function nextTick() {
-  return new Promise((res) => process.nextTick(res))
+test('reset() runs opts.cleanup() with the error and moves the service from "error" to "stopped"', async (t) => {
+  let startCount = 0
+  const testError = new Error('TestError')
+  /** @type {Error[]} */
+  const cleanupErrors = []
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      if (startCount === 1) throw testError
+      return startCount
+    },
+    async cleanup(error) {
+      cleanupErrors.push(error)
+    },
+  })
+  await service.start().catch(() => {})
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: testError })
+  await service.reset()
+  t.deepEqual(
+    cleanupErrors.map((error) => error.cause),
+    [testError],
+    'cleanup called with the error',
+  )
+  t.deepEqual(service.state, { value: 'stopped' })
+  t.equal(await service.start(), 2, 'can start again after reset')
+  t.deepEqual(service.state, { value: 'started' })
+})
+
+test('reset() without opts.cleanup() moves the service to "stopped"', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      throw new Error('TestError')
+    },
+  })
+  await service.start().catch(() => {})
+  t.equal(service.state.value, 'error', 'in error state')
+  await service.reset()
+  t.deepEqual(service.state, { value: 'stopped' })
+})
+
+test('reset() when "stopped" resolves without calling opts.cleanup()', async (t) => {
+  let cleanupCount = 0
+  const service = new StartStopStateMachine({
+    async cleanup() {
+      cleanupCount++
+    },
+  })
+  await service.reset()
+  t.equal(cleanupCount, 0, 'cleanup not called')
+  t.deepEqual(service.state, { value: 'stopped' })
+})
+
+test('reset() rejects when the service is not "stopped" or in "error" state', async (t) => {
+  const service = new StartStopStateMachine()
+  await service.start()
+  try {
+    await service.reset()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof Error, 'rejects while started')
+  }
+  t.deepEqual(service.state, { value: 'started' }, 'state is unchanged')
+})
+
+test('Concurrent calls to reset() only call opts.cleanup() once', async (t) => {
+  let cleanupCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      throw new Error('TestError')
+    },
+    async cleanup() {
+      await new Promise((res) => setTimeout(res, 20))
+      cleanupCount++
+    },
+  })
+  await service.start().catch(() => {})
+  await Promise.all([service.reset(), service.reset(), service.reset()])
+  t.equal(cleanupCount, 1, 'cleanup only called once')
+  t.deepEqual(service.state, { value: 'stopped' })
+})
+
+test('If opts.cleanup() throws, reset() rejects and the service stays in "error" state', async (t) => {
+  const cleanupError = new Error('CleanupError')
+  const service = new StartStopStateMachine({
+    async start() {
+      throw new Error('TestError')
+    },
+    async cleanup() {
+      throw cleanupError
+    },
+  })
+  await service.start().catch(() => {})
+  try {
+    await service.reset()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, cleanupError, 'reset() rejects with the cleanup error')
+  }
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: cleanupError })
+})
+
+test('recovery.start = "revert" returns to "stopped" when opts.start() throws', async (t) => {
+  let startCount = 0
+  const testError = new Error('TestError')
+  const service = new StartStopStateMachine({
+    async start() {
+      await new Promise((res) => process.nextTick(res))
+      startCount++
+      if (startCount === 1) throw testError
+    },
+    recovery: { start: 'revert' },
+  })
+  /** @type {string[]} */
+  const states = []
+  service.on('state', (state) => states.push(state.value))
+  const startPromise = service.start()
+  try {
+    await service.started()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, testError, 'started() rejects with the error')
+  }
+  try {
+    await startPromise
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, testError, 'start() rejects with the error')
+  }
+  t.deepEqual(service.state, { value: 'stopped' }, 'reverted to stopped')
+  t.deepEqual(states, ['starting', 'error', 'stopped'], 'state events')
+  await service.start()
+  t.deepEqual(service.state, { value: 'started' }, 'can start again')
+})
+
+test('recovery.stop = "revert" returns to "started" when opts.stop() throws', async (t) => {
+  const result = { handle: 'service-handle' }
+  const testError = new Error('TestError')
+  let stopCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      return result
+    },
+    async stop() {
+      stopCount++
+      if (stopCount === 1) throw testError
+    },
+    recovery: { stop: 'revert' },
+  })
+  await service.start()
+  try {
+    await service.stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, testError, 'stop() rejects with the error')
+  }
+  t.deepEqual(service.state, { value: 'started' }, 'reverted to started')
+  t.equal(await service.started(), result, 'start result is kept')
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' }, 'can stop again')
+})
+
+test('recovery.start = "reset" calls opts.cleanup() and moves to "stopped" before start() rejects', async (t) => {
+  const testError = new Error('TestError')
+  /** @type {Error[]} */
+  const cleanupErrors = []
+  const service = new StartStopStateMachine({
+    async start() {
+      throw testError
+    },
+    async cleanup(error) {
+      await new Promise((res) => setTimeout(res, 10))
+      cleanupErrors.push(error)
+    },
+    recovery: { start: 'reset' },
+  })
+  try {
+    await service.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, testError, 'start() rejects with the error')
+  }
+  t.deepEqual(
+    cleanupErrors.map((error) => error.cause),
+    [testError],
+    'cleanup called with the error',
+  )
+  t.deepEqual(service.state, { value: 'stopped' }, 'reset to stopped')
+})
+
+test('recovery.stop = "reset" rejects with the original error if opts.cleanup() also throws', async (t) => {
+  const testError = new Error('TestError')
+  const cleanupError = new Error('CleanupError')
+  const service = new StartStopStateMachine({
+    async stop() {
+      throw testError
+    },
+    async cleanup() {
+      throw cleanupError
+    },
+    recovery: { stop: 'reset' },
+  })
+  await service.start()
+  try {
+    await service.stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, testError, 'stop() rejects with the original error')
+  }
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: cleanupError })
+})
+
+test('opts.retry: start() retries opts.start() and resolves once an attempt succeeds', async (t) => {
+  let startCount = 0
+  const testError = new Error('TestError')
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      if (startCount < 3) throw testError
+      return startCount
+    },
+    retry: { initialDelay: 10, jitter: 0 },
+  })
+  /** @type {import('./index.js').ServiceState[]} */
+  const states = []
+  service.on('state', (state) => states.push(state))
+  const startedPromise = service.started()
+  t.equal(await service.start(), 3, 'start() resolves with the result')
+  t.equal(await startedPromise, 3, 'started() resolves with the result')
+  t.equal(startCount, 3, 'opts.start() called three times')
+  t.deepEqual(
+    states,
+    [
+      { value: 'starting' },
+      { value: 'retrying', attempt: 1, delay: 10, error: testError },
+      { value: 'starting' },
+      { value: 'retrying', attempt: 2, delay: 20, error: testError },
+      { value: 'starting' },
+      { value: 'started' },
+    ],
+    'reports each retry in state events',
+  )
+})
+
+test('opts.retry: start() rejects with the last error once retries run out', async (t) => {
+  let startCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      throw new Error(`Error ${startCount}`)
+    },
+    retry: { maxAttempts: 2, initialDelay: 1 },
+  })
+  const startedPromise = service.started()
+  try {
+    await service.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause.message, 'Error 2', 'start() rejects with the last error')
+  }
+  try {
+    await startedPromise
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause.message, 'Error 2', 'started() rejects with the last error')
+  }
+  t.equal(startCount, 2, 'opts.start() called maxAttempts times')
+  t.equal(service.state.value, 'error', 'in error state')
+})
+
+test('opts.retry.shouldRetry() decides which errors are retried', async (t) => {
+  let startCount = 0
+  const fatalError = new Error('FatalError')
+  /** @type {Array<[Error, number]>} */
+  const shouldRetryCalls = []
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      throw startCount === 1 ? new Error('TransientError') : fatalError
+    },
+    retry: {
+      initialDelay: 1,
+      maxAttempts: 10,
+      shouldRetry(error, attempt) {
+        shouldRetryCalls.push([error, attempt])
+        return error !== fatalError
+      },
+    },
+  })
+  try {
+    await service.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, fatalError, 'rejects with the error that is not retried')
+  }
+  t.equal(startCount, 2, 'stops retrying on the error that is not retried')
+  t.deepEqual(
+    shouldRetryCalls.map(([error, attempt]) => [error.message, attempt]),
+    [
+      ['TransientError', 1],
+      ['FatalError', 2],
+    ],
+    'shouldRetry called with the error and attempt count',
+  )
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: fatalError })
+})
+
+test('opts.retry: delay backs off exponentially up to maxDelay, with jitter', async (t) => {
+  let startCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      if (startCount < 5) throw new Error('TestError')
+    },
+    retry: {
+      maxAttempts: 5,
+      initialDelay: 4,
+      factor: 3,
+      maxDelay: 20,
+      jitter: 0.5,
+    },
+  })
+  /** @type {number[]} */
+  const delays = []
+  service.on('state', (state) => {
+    if (state.value === 'retrying') delays.push(state.delay)
+  })
+  const random = Math.random
+  Math.random = () => 0.5
+  try {
+    await service.start()
+  } finally {
+    Math.random = random
+  }
+  // Undelayed: 4, 12, 36 -> 20, 108 -> 20. Jitter of 0.5 * 0.5 removes 25%
+  t.deepEqual(delays, [3, 9, 15, 15], 'delays before each retry')
+})
+
+test('Calling start() when "retrying" waits as if "starting"', async (t) => {
+  let startCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      if (startCount === 1) throw new Error('TestError')
+      return startCount
+    },
+    retry: { initialDelay: 20 },
+  })
+  const firstStart = service.start()
+  await new Promise((res) => setTimeout(res, 5))
+  t.equal(service.state.value, 'retrying', 'in retrying state')
+  t.equal(await service.start(), 2, 'resolves once the retry succeeds')
+  t.equal(await firstStart, 2, 'first start() resolves with the same value')
+  t.equal(startCount, 2, 'opts.start() not called again by start()')
+  t.deepEqual(service.state, { value: 'started' })
+})
+
+test('opts.start() and opts.stop() are called with an AbortSignal', async (t) => {
+  /** @type {AbortSignal[]} */
+  const signals = []
+  const service = new StartStopStateMachine({
+    async start() {
+      signals.push(this.signal)
+    },
+    async stop() {
+      signals.push(this.signal)
+    },
+  })
+  await service.start()
+  await service.stop()
+  t.equal(signals.length, 2, 'called opts.start() and opts.stop()')
+  t.ok(
+    signals.every((signal) => signal instanceof AbortSignal),
+    'passed an AbortSignal as this.signal',
+  )
+  t.ok(
+    signals.every((signal) => !signal.aborted),
+    'signals are not aborted',
+  )
+})
+
+test('Calling stop() when "starting" aborts the in-flight start without waiting for it', async (t) => {
+  let stopCount = 0
+  /** @type {AbortSignal | undefined} */
+  let startSignal
+  const service = new StartStopStateMachine({
+    async start() {
+      startSignal = this.signal
+      // Never resolves, e.g. a hung connection
+      await new Promise(() => {})
+    },
+    async stop() {
+      stopCount++
+    },
+  })
+  /** @type {string[]} */
+  const states = []
+  service.on('state', (state) => states.push(state.value))
+  const startPromise = service.start()
+  const coalescedStartPromise = service.start()
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' }, 'service is stopped')
+  t.ok(startSignal?.aborted, 'signal passed to opts.start() is aborted')
+  t.equal(stopCount, 0, 'opts.stop() is not called')
+  t.deepEqual(states, ['starting', 'stopped'], 'state events')
+  for (const promise of [startPromise, coalescedStartPromise]) {
+    try {
+      await promise
+      t.fail('should not reach here')
+    } catch (e) {
+      t.equal(e.name, 'AbortError', 'start() rejects with an AbortError')
+    }
+  }
+})
+
+test('Calling start() after stop() aborted a start, starts the service again', async (t) => {
+  let startCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      await new Promise((res) => setTimeout(res, 20))
+      if (this.signal.aborted) throw this.signal.reason
+      return startCount
+    },
+  })
+  const abortedStart = service.start().catch((e) => e)
+  service.stop()
+  t.equal(await service.start(), 2, 'last start() starts the service again')
+  t.equal((await abortedStart).name, 'AbortError', 'first start() rejects')
+  t.deepEqual(service.state, { value: 'started' })
+})
+
+test('A start that completes after it was aborted is stopped before the next start', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  let stopError = new Error('StopError')
+  const service = new StartStopStateMachine({
+    /** @param {number} n */
+    async start(n) {
+      log.push(`start ${n}`)
+      // Ignores the signal, e.g. a library that does not support it
+      await new Promise((res) => setTimeout(res, 10))
+      log.push(`started ${n}`)
+    },
+    async stop() {
+      log.push('stop')
+      await nextTick()
+      if (stopError) throw stopError
+    },
+    startTimeout: 5,
+    onTimeout: 'stop',
+  })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+
+  const aborted = service.start(1).catch((e) => e)
+  await service.stop()
+  t.deepEqual(log, ['start 1'], 'stop() does not wait for opts.start()')
+  t.equal((await aborted).name, 'AbortError')
+  await service.withOptions({ timeout: 100 }).start(2)
+  t.deepEqual(
+    log,
+    ['start 1', 'started 1', 'stop', 'start 2', 'started 2'],
+    'opts.stop() is called once opts.start() completes, before starting again',
+  )
+  t.deepEqual(warnings, [stopError], 'a failure to stop is a warning')
+
+  stopError = undefined
+  await service.withOptions({ timeout: 100 }).stop()
+  log.length = 0
+  const timedOut = await service.start(3).catch((e) => e)
+  t.ok(timedOut instanceof TimeoutError, 'also when the start times out')
+  await new Promise((res) => setTimeout(res, 20))
+  t.deepEqual(log, ['start 3', 'started 3', 'stop'])
+  t.deepEqual(service.state, { value: 'stopped' })
+})
+
+test('Calling stop() when "retrying" cancels the next attempt', async (t) => {
+  let startCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      throw new Error('TestError')
+    },
+    retry: { initialDelay: 20 },
+  })
+  const startPromise = service.start().catch((e) => e)
+  await new Promise((res) => setTimeout(res, 5))
+  t.equal(service.state.value, 'retrying', 'in retrying state')
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' }, 'service is stopped')
+  t.equal((await startPromise).name, 'AbortError', 'start() rejects')
+  await new Promise((res) => setTimeout(res, 30))
+  t.equal(startCount, 1, 'opts.start() is not retried')
+  t.deepEqual(service.state, { value: 'stopped' }, 'service is still stopped')
+})
+
+test('A start that is aborted while opts.start() is running is not retried', async (t) => {
+  let startCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      await new Promise((res) => setTimeout(res, 10))
+      throw new Error('TestError')
+    },
+    retry: { initialDelay: 1 },
+  })
+  const startPromise = service.start().catch((e) => e)
+  await service.stop()
+  t.equal((await startPromise).name, 'AbortError', 'start() rejects')
+  await new Promise((res) => setTimeout(res, 30))
+  t.equal(startCount, 1, 'opts.start() is not retried')
+  t.deepEqual(service.state, { value: 'stopped' }, 'service is still stopped')
+})
+
+test('started() and stopped() reject with the reason when opts.signal aborts', async (t) => {
+  const service = new StartStopStateMachine()
+  const controller = new AbortController()
+  const startedPromise = service.started({ signal: controller.signal })
+  const reason = new Error('Gave up')
+  controller.abort(reason)
+  try {
+    await startedPromise
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e, reason, 'started() rejects with the abort reason')
+  }
+  await service.start()
+  try {
+    await service.stopped({ signal: controller.signal })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e, reason, 'stopped() rejects if already aborted')
+  }
+  t.equal(
+    await service.started({ signal: controller.signal }),
+    undefined,
+    'started() resolves if already started',
+  )
+  t.deepEqual(service.state, { value: 'started' }, 'service is unaffected')
+})
+
+test('withOptions({ signal }) lets callers of start() and stop() give up waiting without affecting the service', async (t) => {
+  let startCount = 0
+  let stopCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      await new Promise((res) => setTimeout(res, 20))
+      return ++startCount
+    },
+    async stop() {
+      await new Promise((res) => setTimeout(res, 20))
+      stopCount++
+    },
+  })
+  const controller = new AbortController()
+  const startPromise = service.withOptions(controller).start()
+  controller.abort()
+  try {
+    await startPromise
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError', 'start() rejects with the abort reason')
+  }
+  t.equal(service.state.value, 'starting', 'service is still starting')
+  t.equal(await service.started(), 1, 'service starts')
+
+  try {
+    await service.withOptions(controller).stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError', 'stop() rejects if already aborted')
+  }
+  t.equal(stopCount, 0, 'stop() does not stop if already aborted')
+
+  const { signal } = new AbortController()
+  t.equal(
+    await service.withOptions({ signal }).start(),
+    1,
+    'start() resolves if not aborted',
+  )
+  await service.withOptions({ signal }).stop()
+  t.equal(stopCount, 1, 'stop() resolves if not aborted')
+  t.equal(await service.withOptions({}).start(), 2, 'signal is optional')
+  await service.withOptions({}).stop()
+  t.deepEqual(service.state, { value: 'stopped' })
+})
+
+test('opts.startTimeout: start() rejects with a StartError caused by a TimeoutError, and the service is in "error" state', async (t) => {
+  /** @type {AbortSignal | undefined} */
+  let startSignal
+  const service = new StartStopStateMachine({
+    async start() {
+      startSignal = this.signal
+      await new Promise(() => {})
+    },
+    startTimeout: 10,
+  })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  const startedPromise = service.started()
+  try {
+    await service.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StartError, 'start() rejects with a StartError')
+    const timeoutError = e.cause
+    t.ok(timeoutError instanceof TimeoutError, 'caused by a TimeoutError')
+    t.equal(timeoutError.transition, 'start', 'error has the transition')
+    t.equal(timeoutError.timeout, 10, 'error has the timeout')
+    t.deepEqual(causeOf(service.state), { value: 'error', cause: timeoutError })
+    t.equal(startSignal?.reason, timeoutError, 'signal is aborted with it')
+    t.deepEqual(warnings, [timeoutError], 'emits a warning event')
+    try {
+      await startedPromise
+      t.fail('should not reach here')
+    } catch (err) {
+      t.equal(err, e, 'started() rejects with the error')
+    }
+  }
+})
+
+test('opts.startTimeout applies to the whole start, including retries', async (t) => {
+  let startCount = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      startCount++
+      throw new Error('TestError')
+    },
+    retry: { maxAttempts: 100, initialDelay: 8, jitter: 0, factor: 1 },
+    startTimeout: 20,
+  })
+  try {
+    await service.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e.cause instanceof TimeoutError, 'start() fails with a TimeoutError')
+  }
+  const attempts = startCount
+  t.ok(attempts > 1, 'retried until the timeout')
+  await new Promise((res) => setTimeout(res, 20))
+  t.equal(startCount, attempts, 'not retried after the timeout')
+})
+
+test('A start that completes after it timed out is stopped before the next start', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  let open = 0
+  let ms = 50
+  const service = new StartStopStateMachine({
+    async start() {
+      log.push('start')
+      // Ignores the signal, so completes after the timeout
+      await sleep(ms)
+      open++
+      log.push('started')
+    },
+    async stop() {
+      log.push('stop')
+      open--
+    },
+    startTimeout: 20,
+    onTimeout: 'error',
+    recovery: { start: 'revert' },
+  })
+  service.on('warning', () => {})
+  try {
+    await service.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e.cause instanceof TimeoutError)
+  }
+  t.deepEqual(service.state, { value: 'stopped' })
+  ms = 0
+  await service.withOptions({ timeout: Infinity }).start()
+  await service.stop()
+  t.deepEqual(log, ['start', 'started', 'stop', 'start', 'started', 'stop'])
+  t.equal(open, 0, 'nothing is left open')
+})
+
+test('opts.onTimeout = "stop": a start that times out moves to "stopped"', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      await new Promise(() => {})
+    },
+    startTimeout: 10,
+    onTimeout: 'stop',
+  })
+  const results = await Promise.allSettled([service.start(), service.start()])
+  for (const result of results) {
+    t.ok(
+      result.status === 'rejected' && result.reason instanceof TimeoutError,
+      'start() rejects with a TimeoutError',
+    )
+  }
+  t.deepEqual(service.state, { value: 'stopped' })
+})
+
+test('opts.onTimeout = "stop": a stop that times out moves to "stopped" and stop() resolves', async (t) => {
+  /** @type {AbortSignal | undefined} */
+  let stopSignal
+  const service = new StartStopStateMachine({
+    async start() {
+      return { handle: 'service-handle' }
+    },
+    async stop() {
+      stopSignal = this.signal
+      await new Promise(() => {})
+    },
+    stopTimeout: 10,
+    onTimeout: 'stop',
+  })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  await service.start()
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' })
+  t.ok(stopSignal?.reason instanceof TimeoutError, 'signal is aborted')
+  t.equal(warnings.length, 1, 'emits a warning event')
+  t.ok(warnings[0] instanceof TimeoutError, 'warning is a TimeoutError')
+  t.equal(warnings[0].transition, 'stop', 'warning is for the stop')
+})
+
+test('opts.stopTimeout: stop() rejects with a StopError caused by a TimeoutError, and the service is in "error" state', async (t) => {
+  const service = new StartStopStateMachine({
+    async stop() {
+      await new Promise(() => {})
+    },
+    stopTimeout: 10,
+  })
+  await service.start()
+  try {
+    await service.stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StopError, 'stop() rejects with a StopError')
+    t.ok(e.cause instanceof TimeoutError, 'caused by a TimeoutError')
+    t.deepEqual(causeOf(service.state), { value: 'error', cause: e.cause })
+  }
+})
+
+test('opts.onTimeout = "wait": emits a warning and keeps waiting', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      await new Promise((res) => setTimeout(res, 20))
+      return 'result'
+    },
+    async stop() {
+      await new Promise((res) => setTimeout(res, 20))
+    },
+    startTimeout: 5,
+    stopTimeout: 5,
+    onTimeout: 'wait',
+  })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  t.equal(await service.start(), 'result', 'start() resolves')
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' })
+  t.deepEqual(
+    warnings.map((warning) => [warning.name, warning.transition]),
+    [
+      ['TimeoutError', 'start'],
+      ['TimeoutError', 'stop'],
+    ],
+    'emits a warning for each timeout',
+  )
+})
+
+test('Timeouts do not fire once the transition completes', async (t) => {
+  const service = new StartStopStateMachine({
+    startTimeout: 10,
+    stopTimeout: 10,
+  })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  await service.start()
+  await new Promise((res) => setTimeout(res, 20))
+  await service.stop()
+  await new Promise((res) => setTimeout(res, 20))
+  t.deepEqual(service.state, { value: 'stopped' })
+  t.equal(warnings.length, 0, 'no warnings')
+})
+
+test('withOptions({ timeout }) overrides the timeout for the transition it triggers', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      await new Promise((res) => setTimeout(res, 20))
+    },
+    async stop() {
+      await new Promise((res) => setTimeout(res, 20))
+    },
+    startTimeout: 5,
+    stopTimeout: 5,
+  })
+  await service.withOptions({ timeout: Infinity }).start()
+  t.deepEqual(service.state, { value: 'started' }, 'Infinity disables it')
+  try {
+    await service.withOptions({ timeout: 100 }).stop()
+    t.pass('longer timeout does not fire')
+  } catch {
+    t.fail('should not reach here')
+  }
+  const shorter = new StartStopStateMachine({
+    async start() {
+      await new Promise((res) => setTimeout(res, 20))
+    },
+  })
+  try {
+    await shorter.withOptions({ timeout: 5 }).start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e.cause instanceof TimeoutError, 'fails after the per-call timeout')
+    t.equal(e.cause.timeout, 5, 'error has the per-call timeout')
+  }
+})
+
+test('restart() stops and starts the service as a single transition', async (t) => {
+  /** @type {any[]} */
+  const calls = []
+  let count = 0
+  /** @type {StartStopStateMachine<[string], [], number>} */
+  const service = new StartStopStateMachine({
+    async start(arg) {
+      calls.push(['start', arg])
+      await nextTick()
+      return ++count
+    },
+    async stop(...args) {
+      calls.push(['stop', ...args])
+      await nextTick()
+    },
+  })
+  await service.start('a')
+  /** @type {string[]} */
+  const states = []
+  service.on('state', (state) => states.push(state.value))
+  let stoppedResolved = false
+  service.stopped().then(() => (stoppedResolved = true))
+  const result = await service.restart('b')
+  await nextTick()
+  t.equal(result, 2, 'resolves with the new start result')
+  t.deepEqual(calls, [['start', 'a'], ['stop'], ['start', 'b']])
+  t.deepEqual(states, ['restarting', 'started'], 'never "stopped"')
+  t.notOk(stoppedResolved, 'stopped() does not resolve')
+  t.equal(await service.started(), 2, 'started() resolves with new result')
+})
+
+test('restart() when stopped starts the service', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      return 'result'
+    },
+  })
+  t.equal(await service.restart(), 'result')
+  t.deepEqual(service.state, { value: 'started' })
+})
+
+test('Calling restart() or start() when "restarting" coalesces with the restart', async (t) => {
+  let starts = 0
+  let stops = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      await nextTick()
+      return ++starts
+    },
+    async stop() {
+      await nextTick()
+      stops++
+    },
+  })
+  await service.start()
+  const results = await Promise.all([
+    service.restart(),
+    service.restart(),
+    service.start(),
+  ])
+  t.deepEqual(results, [2, 2, 2])
+  t.equal(starts, 2, 'opts.start() called once more')
+  t.equal(stops, 1, 'opts.stop() called once')
+})
+
+test('restart() waits for a transition in progress to finish first', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  const service = new StartStopStateMachine({
+    async start() {
+      calls.push('start')
+      await nextTick()
+    },
+    async stop() {
+      calls.push('stop')
+      await nextTick()
+    },
+    async reload() {
+      calls.push('reload')
+      await nextTick()
+    },
+  })
+  service.start()
+  await service.restart()
+  t.deepEqual(calls, ['start', 'stop', 'start'], 'when starting')
+  calls.length = 0
+  service.reload()
+  await service.restart()
+  t.deepEqual(calls, ['reload', 'stop', 'start'], 'when reloading')
+  calls.length = 0
+  service.stop()
+  await service.restart()
+  t.deepEqual(calls, ['stop', 'start'], 'when stopping, it just starts')
+})
+
+test('Calling stop() when "restarting" wins', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  const service = new StartStopStateMachine({
+    async start() {
+      calls.push('start')
+      await new Promise((res) => setTimeout(res, 10, undefined))
+      this.signal.throwIfAborted()
+      calls.push('started')
+    },
+    async stop() {
+      calls.push('stop')
+      await nextTick()
+    },
+  })
+  await service.start()
+  calls.length = 0
+
+  // While opts.stop() is running
+  let restartPromise = service.restart()
+  const startPromise = service.start()
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' })
+  for (const promise of [restartPromise, startPromise]) {
+    try {
+      await promise
+      t.fail('should not reach here')
+    } catch (e) {
+      t.equal(e.name, 'AbortError', 'restart rejects with an AbortError')
+    }
+  }
+  t.deepEqual(calls, ['stop'], 'opts.start() is not called')
+
+  // While opts.start() is running
+  await service.start()
+  calls.length = 0
+  restartPromise = service.restart()
+  await new Promise((res) => setTimeout(res, 5))
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' })
+  try {
+    await restartPromise
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError', 'restart rejects with an AbortError')
+  }
+  await new Promise((res) => setTimeout(res, 10))
+  t.deepEqual(calls, ['stop', 'start'], 'opts.start() is aborted')
+})
+
+test('Calling start() after stop() when "restarting" wins', async (t) => {
+  let starts = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      return ++starts
+    },
+    async stop() {
+      await nextTick()
+    },
+  })
+  await service.start()
+  const restartPromise = service.restart()
+  const stopPromise = service.stop()
+  const startResult = await service.start()
+  t.equal(startResult, 2, 'start() resolves when restarted')
+  t.equal(await restartPromise, 2, 'restart() resolves')
+  t.deepEqual(service.state, { value: 'started' })
+  await service.stop()
+  await stopPromise
+  t.pass('earlier stop() resolves at the next stop')
+})
+
+test('restart() moves to "error" if either transition fails', async (t) => {
+  const stopError = new Error('StopError')
+  const failingStop = new StartStopStateMachine({
+    async stop() {
+      throw stopError
+    },
+  })
+  await failingStop.start()
+  try {
+    await failingStop.restart()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, stopError)
+  }
+  t.deepEqual(causeOf(failingStop.state), { value: 'error', cause: stopError })
+  try {
+    await failingStop.restart()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, stopError, 'rejects in "error" state')
+  }
+
+  const startError = new Error('StartError')
+  let fail = false
+  const failingStart = new StartStopStateMachine({
+    async start() {
+      if (fail) throw startError
+    },
+    recovery: { start: 'revert' },
+  })
+  await failingStart.start()
+  fail = true
+  try {
+    await failingStart.restart()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError)
+  }
+  t.deepEqual(failingStart.state, { value: 'stopped' }, 'recovery applies')
+})
+
+test('restart() retries opts.start() and stays "restarting" between attempts', async (t) => {
+  let attempts = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      if (++attempts === 2) throw new Error('StartError')
+    },
+    retry: { initialDelay: 1 },
+  })
+  await service.start()
+  /** @type {string[]} */
+  const states = []
+  service.on('state', (state) => states.push(state.value))
+  await service.restart()
+  t.deepEqual(states, ['restarting', 'retrying', 'restarting', 'started'])
+})
+
+test('reload() calls opts.reload() without stopping the service', async (t) => {
+  /** @type {any[]} */
+  const calls = []
+  /** @type {StartStopStateMachine<[], [], string, [string]>} */
+  const service = new StartStopStateMachine({
+    async start() {
+      return 'result'
+    },
+    async stop() {
+      calls.push('stop')
+    },
+    async reload(config) {
+      t.ok(this.signal instanceof AbortSignal, 'called with a signal')
+      calls.push(['reload', config])
+      await nextTick()
+    },
+  })
+  await service.start()
+  /** @type {string[]} */
+  const states = []
+  service.on('state', (state) => states.push(state.value))
+  const started = service.started()
+  await Promise.all([service.reload('a'), service.reload('b')])
+  t.deepEqual(calls, [['reload', 'a']], 'coalesces with reload in progress')
+  t.deepEqual(states, ['reloading', 'started'])
+  t.equal(await started, 'result', 'start result is kept')
+
+  service.reload('c')
+  t.equal(await service.start(), 'result', 'start() waits for the reload')
+  service.reload('d')
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' }, 'stop() waits then stops')
+  t.deepEqual(calls.slice(1), [['reload', 'c'], ['reload', 'd'], 'stop'])
+
+  try {
+    await service.reload('e')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /while stopped/, 'rejects when stopped')
+  }
+  service.start()
+  await service.reload('f')
+  t.deepEqual(calls.at(-1), ['reload', 'f'], 'waits for start first')
+  service.restart()
+  await service.reload('g')
+  t.deepEqual(calls.at(-1), ['reload', 'g'], 'waits for restart first')
+})
+
+test('reload() rejects without opts.reload', async (t) => {
+  const service = new StartStopStateMachine()
+  await service.start()
+  try {
+    await service.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /does not support reload/)
+  }
+  t.deepEqual(service.state, { value: 'started' })
+})
+
+test('If opts.reload() throws, the service moves to "error", or opts.recovery.reload', async (t) => {
+  const reloadError = new Error('ReloadError')
+  const service = new StartStopStateMachine({
+    async reload() {
+      throw reloadError
+    },
+  })
+  await service.start()
+  try {
+    await service.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, reloadError)
+  }
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: reloadError })
+  try {
+    await service.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, reloadError, 'rejects in "error" state')
+  }
+
+  const reverting = new StartStopStateMachine({
+    async reload() {
+      throw reloadError
+    },
+    recovery: { reload: 'revert' },
+  })
+  await reverting.start()
+  try {
+    await reverting.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, reloadError)
+  }
+  t.deepEqual(reverting.state, { value: 'started' }, 'reverts to "started"')
+})
+
+test('withOptions() applies to restart() and reload()', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      await new Promise((res) => setTimeout(res, 20))
+    },
+    async reload() {
+      await new Promise((res) => setTimeout(res, 20))
+    },
+  })
+  await service.start()
+  try {
+    await service.withOptions({ timeout: 5 }).restart()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e.cause instanceof TimeoutError, 'restart() uses the timeout')
+  }
+  await service.reset()
+  await service.start()
+  const controller = new AbortController()
+  const reloadPromise = service
+    .withOptions({ signal: controller.signal })
+    .reload()
+  controller.abort()
+  try {
+    await reloadPromise
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError', 'reload() stops waiting')
+  }
+  await service.started()
+  t.deepEqual(service.state, { value: 'started' }, 'reload still completes')
+})
+
+test('opts.healthCheck(): failing checks move the service to "degraded", and a passing check back to "started"', async (t) => {
+  const error = new Error('HealthError')
+  const results = [error, error, undefined]
+  /** @type {any[]} */
+  const calls = []
+  const service = new StartStopStateMachine({
+    async start() {
+      return 'result'
+    },
+    async healthCheck(result) {
+      calls.push([result, this.signal instanceof AbortSignal])
+      const next = results.shift()
+      if (next) throw next
+    },
+    health: { interval: 5 },
+  })
+  /** @type {any[]} */
+  const states = []
+  /** @type {any[]} */
+  const reports = []
+  service.on('state', (state) => states.push(state))
+  service.on('health', (report) => reports.push(report))
+  await service.start()
+  await nextState(service, 'degraded')
+  t.equal(await service.started(), 'result', 'started() resolves if degraded')
+  t.equal(await service.start(), 'result', 'start() resolves if degraded')
+  await nextState(service, 'started')
+  t.deepEqual(calls[0], ['result', true], 'called with result and signal')
+  t.deepEqual(states, [
+    { value: 'starting' },
+    { value: 'started' },
+    { value: 'degraded', failures: 1, error },
+    { value: 'degraded', failures: 2, error },
+    { value: 'started' },
+  ])
+  t.deepEqual(reports, [
+    { status: 'degraded', failures: 1, error },
+    { status: 'degraded', failures: 2, error },
+    { status: 'healthy' },
+  ])
+  await new Promise((res) => setTimeout(res, 20))
+  t.equal(reports.length, 3, 'passing checks are not reported again')
+  await service.stop()
+})
+
+test('opts.healthCheck(): the service is "unhealthy" after opts.health.unhealthyAfter failures', async (t) => {
+  const error = new Error('HealthError')
+  let healthy = false
+  const service = new StartStopStateMachine({
+    async healthCheck() {
+      if (!healthy) throw error
+    },
+    health: { interval: 5, unhealthyAfter: 2 },
+  })
+  /** @type {any[]} */
+  const reports = []
+  service.on('health', (report) => reports.push(report))
+  await service.start()
+  await nextState(service, 'unhealthy')
+  t.deepEqual(service.state, { value: 'unhealthy', failures: 2, error })
+  await nextState(service, 'unhealthy')
+  t.deepEqual(
+    service.state,
+    { value: 'unhealthy', failures: 3, error },
+    'keeps checking by default',
+  )
+  healthy = true
+  await nextState(service, 'started')
+  t.deepEqual(reports.slice(0, 3), [
+    { status: 'degraded', failures: 1, error },
+    { status: 'unhealthy', failures: 2, error },
+    { status: 'unhealthy', failures: 3, error },
+  ])
+  t.deepEqual(reports.at(-1), { status: 'healthy' })
+  await service.stop()
+})
+
+test('opts.health.onUnhealthy = "restart" restarts the service with the last start arguments', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  let healthy = false
+  /** @type {StartStopStateMachine<[string], [], void>} */
+  const service = new StartStopStateMachine({
+    async start(arg) {
+      calls.push(`start ${arg}`)
+    },
+    async stop() {
+      calls.push('stop')
+    },
+    async healthCheck() {
+      if (!healthy) throw new Error('HealthError')
+    },
+    health: { interval: 5, unhealthyAfter: 1, onUnhealthy: 'restart' },
+  })
+  await service.start('a')
+  await nextState(service, 'restarting')
+  healthy = true
+  await nextState(service, 'started')
+  t.deepEqual(calls, ['start a', 'stop', 'start a'])
+  await new Promise((res) => setTimeout(res, 20))
+  t.deepEqual(service.state, { value: 'started' }, 'checks pass after restart')
+  await service.stop()
+})
+
+test('opts.health.onUnhealthy = "stop" stops the service', async (t) => {
+  let stopped = false
+  const service = new StartStopStateMachine({
+    async stop() {
+      stopped = true
+    },
+    async healthCheck() {
+      throw new Error('HealthError')
+    },
+    health: { interval: 5, unhealthyAfter: 1, onUnhealthy: 'stop' },
+  })
+  await service.start()
+  await service.stopped()
+  t.ok(stopped, 'opts.stop() was called')
+  await new Promise((res) => setTimeout(res, 20))
+  t.deepEqual(service.state, { value: 'stopped' }, 'checks have ended')
+})
+
+test('opts.health.onUnhealthy = "error" moves to "error" with the error from the last check', async (t) => {
+  const error = new Error('HealthError')
+  const service = new StartStopStateMachine({
+    async healthCheck() {
+      throw error
+    },
+    health: { interval: 5, unhealthyAfter: 2, onUnhealthy: 'error' },
+  })
+  await service.start()
+  try {
+    await service.stopped()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, error)
+  }
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: error })
+  t.equal(
+    service.state.value === 'error' && service.state.transition,
+    'health check',
+  )
+  await service.reset()
+  t.deepEqual(service.state, { value: 'stopped' }, 'reset() recovers')
+})
+
+test('opts.health.timeout: a check that takes too long fails with a TimeoutError', async (t) => {
+  /** @type {AbortSignal[]} */
+  const signals = []
+  const service = new StartStopStateMachine({
+    async healthCheck() {
+      signals.push(this.signal)
+      await new Promise(() => {})
+    },
+    health: { interval: 5, timeout: 5 },
+  })
+  await service.start()
+  await nextState(service, 'degraded')
+  const { state } = service
+  t.ok(state.value === 'degraded' && state.error instanceof TimeoutError)
+  t.ok(signals[0].aborted, 'aborts the signal of the check')
+  await service.stop()
+})
+
+test('Health checks end when the service stops, and the result of a check in progress is ignored', async (t) => {
+  let checks = 0
+  /** @type {AbortSignal | undefined} */
+  let signal
+  const service = new StartStopStateMachine({
+    async healthCheck() {
+      checks++
+      signal = this.signal
+      await new Promise((res) => setTimeout(res, 10))
+      throw new Error('HealthError')
+    },
+    health: { interval: 5 },
+  })
+  await service.start()
+  await new Promise((res) => setTimeout(res, 8))
+  t.equal(checks, 1, 'check in progress')
+  await service.stop()
+  t.ok(signal?.aborted, 'aborts the signal of the check in progress')
+  await new Promise((res) => setTimeout(res, 30))
+  t.equal(checks, 1, 'no more checks')
+  t.deepEqual(service.state, { value: 'stopped' })
+})
+
+test('use() runs hooks around every start and stop, in the order they were registered', async (t) => {
+  /** @type {any[]} */
+  const calls = []
+  /** @type {StartStopStateMachine<[number], [string], string>} */
+  const service = new StartStopStateMachine({
+    async start(n) {
+      calls.push(['start', n])
+      return `result ${n}`
+    },
+    async stop(reason) {
+      calls.push(['stop', reason])
+    },
+  })
+  const returned = service
+    .use({
+      async beforeStart(args) {
+        t.ok(this.signal instanceof AbortSignal, 'called with a signal')
+        calls.push(['beforeStart 1', ...args])
+        return [args[0] * 2]
+      },
+      async afterStart(result, args) {
+        calls.push(['afterStart 1', result, ...args])
+      },
+      async beforeStop(args) {
+        calls.push(['beforeStop 1', ...args])
+      },
+      async afterStop(args) {
+        calls.push(['afterStop 1', ...args])
+      },
+    })
+    .use({
+      async beforeStart(args) {
+        calls.push(['beforeStart 2', ...args])
+        return [args[0] + 1]
+      },
+      async beforeStop(args) {
+        calls.push(['beforeStop 2', ...args])
+        return ['transformed']
+      },
+    })
+  t.equal(returned, service, 'use() is chainable')
+  t.equal(await service.start(1), 'result 3', 'start() resolves with result')
+  await service.stop('reason')
+  t.deepEqual(calls, [
+    ['beforeStart 1', 1],
+    ['beforeStart 2', 2],
+    ['start', 3],
+    ['afterStart 1', 'result 3', 3],
+    ['beforeStop 1', 'reason'],
+    ['beforeStop 2', 'reason'],
+    ['stop', 'transformed'],
+    ['afterStop 1', 'transformed'],
+  ])
+
+  calls.length = 0
+  await service.start(1)
+  await service.restart(1)
+  t.deepEqual(
+    calls.map(([name]) => name),
+    [
+      ...['beforeStart 1', 'beforeStart 2', 'start', 'afterStart 1'],
+      ...['beforeStop 1', 'beforeStop 2', 'stop', 'afterStop 1'],
+      ...['beforeStart 1', 'beforeStart 2', 'start', 'afterStart 1'],
+    ],
+    'restart() runs the stop and start hooks',
+  )
+})
+
+test('A hook that throws fails the transition, and onError hooks are called', async (t) => {
+  const vetoError = new Error('Invalid port')
+  let started = false
+  /** @type {any[]} */
+  const errors = []
+  /** @type {StartStopStateMachine<[number], [], void>} */
+  const service = new StartStopStateMachine({
+    async start() {
+      started = true
+    },
+    recovery: { start: 'revert' },
+  })
+  service.use({
+    async beforeStart([port]) {
+      if (port < 1024) throw vetoError
+    },
+    async onError(error, transition) {
+      errors.push([error.cause, transition, service.state.value])
+    },
+  })
+  try {
+    await service.start(80)
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, vetoError, 'start() rejects with the error from the hook')
+  }
+  t.notOk(started, 'opts.start() is not called')
+  t.deepEqual(service.state, { value: 'stopped' }, 'recovery applies')
+  t.deepEqual(
+    errors,
+    [[vetoError, 'start', 'error']],
+    'onError is called in the "error" state, before recovery',
+  )
+  await service.start(8080)
+  t.ok(started, 'starts once the hook allows it')
+
+  const afterStopError = new Error('AfterStopError')
+  service.use({
+    async afterStop() {
+      throw afterStopError
+    },
+  })
+  try {
+    await service.stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(
+      e.cause,
+      afterStopError,
+      'stop() rejects with the error from the hook',
+    )
+  }
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: afterStopError })
+  t.deepEqual(errors[1], [afterStopError, 'stop', 'error'])
+})
+
+test('If an onError hook throws, the error is emitted as a warning', async (t) => {
+  const startError = new Error('StartError')
+  const hookError = new Error('HookError')
+  const service = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+    recovery: { start: 'revert' },
+  }).use({
+    async onError() {
+      throw hookError
+    },
+  })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  try {
+    await service.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError, 'start() rejects with the original error')
+  }
+  t.deepEqual(warnings, [hookError])
+  t.deepEqual(service.state, { value: 'stopped' }, 'recovery still applies')
+})
+
+test('opts.history: records each change of state, with the args, duration and coalesced calls of each transition', async (t) => {
+  /** @type {StartStopStateMachine<[string], [string], void>} */
+  const service = new StartStopStateMachine({
+    async start() {
+      await new Promise((res) => setTimeout(res, 10))
+    },
+    async stop() {
+      await nextTick()
+    },
+    history: 10,
+  })
+  const before = Date.now()
+  await Promise.all([service.start('a'), service.start('b')])
+  await Promise.all([service.stop('c'), service.stop('d'), service.stop('e')])
+  const history = service.history
+  t.deepEqual(history.map(withoutTimes), [
+    { from: 'stopped', to: 'starting', args: ['a'] },
+    { from: 'starting', to: 'started', coalesced: 1 },
+    { from: 'started', to: 'stopping', args: ['c'] },
+    { from: 'stopping', to: 'stopped', coalesced: 2 },
+  ])
+  t.ok(history[0].timestamp >= before, 'entries have a timestamp')
+  t.ok(
+    /** @type {number} */ (history[1].duration) >= 9,
+    'last entry of a transition has its duration',
+  )
+  t.equal(history[0].duration, undefined, 'other entries have no duration')
+  history.length = 0
+  t.equal(service.history.length, 4, 'history getter returns a copy')
+})
+
+test('opts.history: keeps only the most recent entries', async (t) => {
+  const service = new StartStopStateMachine({ history: 3 })
+  await service.start()
+  await service.stop()
+  t.deepEqual(
+    service.history.map(({ from, to }) => [from, to]),
+    [
+      ['starting', 'started'],
+      ['started', 'stopping'],
+      ['stopping', 'stopped'],
+    ],
+  )
+  const disabled = new StartStopStateMachine()
+  await disabled.start()
+  t.deepEqual(disabled.history, [], 'no history by default')
+})
+
+test('toJSON() returns a serializable snapshot of the state and history', async (t) => {
+  const startError = new TypeError('StartError')
+  const service = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+    history: 10,
+  })
+  t.deepEqual(JSON.parse(JSON.stringify(service)), {
+    state: { value: 'stopped' },
+    history: [],
+  })
+  await service.start().catch(() => {})
+  const json = JSON.parse(JSON.stringify(service))
+  const error = { name: 'StartError', message: 'Start failed: StartError' }
+  t.equal(typeof json.state.timestamp, 'number')
+  t.deepEqual(
+    { ...json.state, timestamp: undefined },
+    {
+      value: 'error',
+      error,
+      transition: 'start',
+      args: [],
+      timestamp: undefined,
+    },
+  )
+  t.deepEqual(json.history.map(withoutTimes), [
+    { from: 'stopped', to: 'starting', args: [] },
+    { from: 'starting', to: 'error', coalesced: 0, error },
+  ])
+  t.equal(
+    service.history[1].error?.cause,
+    startError,
+    'history getter keeps errors',
+  )
+})
+
+test('opts.history: restart() and reload() are each a single transition', async (t) => {
+  const service = new StartStopStateMachine({
+    async reload() {},
+    history: 10,
+  })
+  await service.start()
+  await Promise.all([service.restart(), service.restart()])
+  await Promise.all([service.reload('x'), service.reload()])
+  t.deepEqual(service.history.slice(2).map(withoutTimes), [
+    { from: 'started', to: 'restarting', args: [] },
+    { from: 'restarting', to: 'started', coalesced: 1 },
+    { from: 'started', to: 'reloading', args: ['x'] },
+    { from: 'reloading', to: 'started', coalesced: 1 },
+  ])
+})
+
+test('watch() yields the current state, then every change of state', async (t) => {
+  const service = new StartStopStateMachine()
+  const states = service.watch()
+  // Changes made before iterating are not missed
+  await service.start()
+  /** @type {string[]} */
+  const values = []
+  for await (const state of states) {
+    values.push(state.value)
+    if (values.length === 5) break
+    if (state.value === 'started') service.stop()
+  }
+  t.deepEqual(values, ['stopped', 'starting', 'started', 'stopping', 'stopped'])
+  t.equal(service.listenerCount('state'), 0, 'break stops watching')
+})
+
+test('watch({ filter }) only yields matching states', async (t) => {
+  const service = new StartStopStateMachine()
+  const states = service.watch({
+    filter: (state) => state.value === 'started' || state.value === 'stopped',
+  })
+  await service.start()
+  await service.stop()
+  /** @type {string[]} */
+  const values = []
+  for await (const state of states) {
+    values.push(state.value)
+    if (values.length === 3) break
+  }
+  t.deepEqual(values, ['stopped', 'started', 'stopped'])
+})
+
+test('watch({ signal }) ends iteration when the signal aborts', async (t) => {
+  const service = new StartStopStateMachine()
+  const controller = new AbortController()
+  const states = service.watch({ signal: controller.signal })
+  t.deepEqual(await states.next(), {
+    value: { value: 'stopped' },
+    done: false,
+  })
+  const pending = states.next()
+  controller.abort()
+  t.deepEqual(await pending, { value: undefined, done: true }, 'ends')
+  t.equal(service.listenerCount('state'), 0, 'stops watching')
+
+  const aborted = service.watch({ signal: AbortSignal.abort() })
+  t.deepEqual(
+    await aborted.next(),
+    { value: undefined, done: true },
+    'ends straight away if the signal has already aborted',
+  )
+})
+
+test('watch() can be iterated by concurrent callers', async (t) => {
+  const service = new StartStopStateMachine()
+  const states = service.watch()
+  await states.next()
+  const first = states.next()
+  const second = states.next()
+  await service.start()
+  t.deepEqual(
+    (await Promise.all([first, second])).map(({ value }) => value?.value),
+    ['starting', 'started'],
+  )
+  await states.return?.()
+})
+
+test('toReadableStream() is a stream of state changes', async (t) => {
+  const service = new StartStopStateMachine()
+  const stream = service.toReadableStream({
+    filter: (state) => state.value !== 'starting',
+  })
+  await service.start()
+  const reader = stream.getReader()
+  t.deepEqual(await reader.read(), { value: { value: 'stopped' }, done: false })
+  t.deepEqual(await reader.read(), { value: { value: 'started' }, done: false })
+  await reader.cancel()
+  t.equal(service.listenerCount('state'), 0, 'cancel stops watching')
+
+  const controller = new AbortController()
+  /** @type {string[]} */
+  const values = []
+  const written = service
+    .toReadableStream({ signal: controller.signal })
+    .pipeTo(
+      new WritableStream({
+        write(state) {
+          values.push(state.value)
+          if (state.value === 'stopped') controller.abort()
+        },
+      }),
+    )
+  await service.stop()
+  await written
+  t.deepEqual(values, ['started', 'stopping', 'stopped'], 'can be piped')
+})
+
+test('waitForState() resolves once the service is in a state, including intermediate states', async (t) => {
+  const startError = new Error('StartError')
+  let fail = false
+  const service = new StartStopStateMachine({
+    async start() {
+      await nextTick()
+      if (fail) throw startError
+    },
+    async stop() {
+      await nextTick()
+    },
+  })
+  t.deepEqual(
+    await service.waitForState('stopped'),
+    { value: 'stopped' },
+    'resolves straight away if in the state',
+  )
+  const starting = service.waitForState('starting')
+  const started = service.waitForState('started')
+  service.start()
+  t.deepEqual(await starting, { value: 'starting' })
+  t.deepEqual(await started, { value: 'started' })
+  const stopping = service.waitForState('stopping')
+  service.stop()
+  t.deepEqual(await stopping, { value: 'stopping' })
+  fail = true
+  const error = service.waitForState('error')
+  await service.start().catch(() => {})
+  t.deepEqual(causeOf(await error), { value: 'error', cause: startError })
+  t.equal(service.listenerCount('state'), 0, 'stops watching')
+})
+
+test('waitFor() resolves with the first state that matches the predicate', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      throw new Error('StartError')
+    },
+    retry: { initialDelay: 1, maxAttempts: 2 },
+  })
+  const retrying = service.waitFor(
+    (state) => state.value === 'retrying' && state.attempt === 1,
+  )
+  service.start().catch(() => {})
+  const state = await retrying
+  t.equal(state.value === 'retrying' && state.attempt, 1)
+})
+
+test('waitFor({ timeout, signal }) rejects if no matching state is reached in time, or if the signal aborts', async (t) => {
+  const service = new StartStopStateMachine()
+  try {
+    await service.waitForState('started', { timeout: 5 })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof TimeoutError, 'rejects with a TimeoutError')
+    t.equal(e.timeout, 5)
+  }
+  const controller = new AbortController()
+  const waiting = service.waitForState('started', {
+    signal: controller.signal,
+    timeout: 1000,
+  })
+  controller.abort()
+  try {
+    await waiting
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError', 'rejects with the abort reason')
+  }
+  try {
+    await service.waitForState('started', { signal: AbortSignal.abort() })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError', 'rejects if already aborted')
+  }
+  t.equal(service.listenerCount('state'), 0, 'stops watching')
+})
+
+test('waitFor({ ifMovingAway }) controls waiting while the service is in a transition away from the state', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      await nextTick()
+    },
+    async stop() {
+      await nextTick()
+    },
+  })
+  await service.start()
+  service.stop()
+  try {
+    await service.waitForState('started', { ifMovingAway: 'reject' })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof InvalidStateError, '"reject" rejects')
+    t.equal(e.transition, 'waitFor')
+    t.equal(e.state, 'stopping')
+    t.match(e.message, /Service is stopping/)
+  }
+  t.deepEqual(
+    await service.waitForState('started', { ifMovingAway: 'resolve' }),
+    { value: 'stopping' },
+    '"resolve" resolves with the current state',
+  )
+  t.deepEqual(
+    await service.waitForState('stopped', { ifMovingAway: 'reject' }),
+    { value: 'stopped' },
+    'waits for a transition towards the state',
+  )
+  const started = service.waitForState('started', { ifMovingAway: 'reject' })
+  await service.start()
+  t.deepEqual(await started, { value: 'started' }, 'waits when not moving')
+  service.restart()
+  const restarting = service.waitForState('started', { ifMovingAway: 'reject' })
+  try {
+    await service.waitForState('stopped', { ifMovingAway: 'reject' })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Service is restarting/, 'restarts lead to "started"')
+  }
+  t.deepEqual(await restarting, { value: 'started' })
+  service.stop()
+  const waiting = service.waitForState('started')
+  await service.stopped()
+  await service.start()
+  t.deepEqual(await waiting, { value: 'started' }, '"wait" waits by default')
+})
+
+test('acquire() starts the service on the first call, and release() stops it when the last handle is released', async (t) => {
+  let starts = 0
+  let stops = 0
+  /** @type {StartStopStateMachine<[string], [], string>} */
+  const service = new StartStopStateMachine({
+    async start(arg) {
+      starts++
+      return `result ${arg}`
+    },
+    async stop() {
+      stops++
+    },
+  })
+  const [a, b] = await Promise.all([service.acquire('a'), service.acquire('b')])
+  t.equal(a.result, 'result a', 'handle carries the start result')
+  t.equal(b.result, 'result a', 'handles share the start result')
+  t.equal(starts, 1, 'started once')
+  t.equal(service.refCount, 2)
+  await a.release()
+  await a.release()
+  t.equal(service.refCount, 1, 'releasing twice does nothing')
+  t.deepEqual(service.state, { value: 'started' }, 'still started')
+  await b.release()
+  t.equal(service.refCount, 0)
+  t.deepEqual(service.state, { value: 'stopped' }, 'stopped on last release')
+  t.equal(stops, 1)
+
+  const c = await service.acquire('c')
+  t.equal(c.result, 'result c', 'starts again after stopping')
+  await c[Symbol.asyncDispose]()
+  t.deepEqual(service.state, { value: 'stopped' }, 'handle is disposable')
+})
+
+test('opts.releaseDelay: waits before stopping, and acquiring again keeps the service started', async (t) => {
+  let starts = 0
+  const service = new StartStopStateMachine({
+    async start() {
+      starts++
+    },
+    releaseDelay: 20,
+  })
+  const a = await service.acquire()
+  await a.release()
+  t.deepEqual(service.state, { value: 'started' }, 'not stopped straight away')
+  const b = await service.acquire()
+  await new Promise((res) => setTimeout(res, 40))
+  t.deepEqual(service.state, { value: 'started' }, 'acquire cancels stop')
+  t.equal(starts, 1, 'not restarted')
+  await b.release()
+  await service.stopped()
+  t.pass('stops after the delay')
+})
+
+test('acquire() rejects if the service fails to start, without holding a reference', async (t) => {
+  const startError = new Error('StartError')
+  const service = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+  })
+  try {
+    await service.acquire()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError)
+  }
+  t.equal(service.refCount, 0)
+})
+
+test('release() rejects if the service fails to stop', async (t) => {
+  const stopError = new Error('StopError')
+  const service = new StartStopStateMachine({
+    async stop() {
+      throw stopError
+    },
+  })
+  const handle = await service.acquire()
+  try {
+    await handle.release()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, stopError)
+  }
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: stopError })
+})
+
+test('[Symbol.asyncDispose]() stops the service and ends watch() iterations', async (t) => {
+  let stopped = false
+  const service = new StartStopStateMachine({
+    async stop() {
+      stopped = true
+    },
+  })
+  await service.start()
+  const states = service.watch()
+  await service[Symbol.asyncDispose]()
+  t.ok(stopped, 'opts.stop() was called')
+  t.deepEqual(service.state, { value: 'stopped' })
+  /** @type {string[]} */
+  const values = []
+  for await (const state of states) values.push(state.value)
+  t.deepEqual(values, [], 'watch() has ended')
+  t.equal(service.listenerCount('state'), 0, 'no listeners left')
+
+  const releasing = new StartStopStateMachine({ releaseDelay: 10 })
+  const handle = await releasing.acquire()
+  await handle.release()
+  await releasing[Symbol.asyncDispose]()
+  t.deepEqual(releasing.state, { value: 'stopped' }, 'stops straight away')
+})
+
+test('[Symbol.asyncDispose]() in the "error" state calls opts.cleanup() and rejects with the error', async (t) => {
+  const startError = new Error('StartError')
+  /** @type {Error[]} */
+  const cleanups = []
+  const service = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+    async cleanup(error) {
+      cleanups.push(error)
+    },
+  })
+  await service.start().catch(() => {})
+  try {
+    await service[Symbol.asyncDispose]()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError, 'rejects with the error from the error state')
+  }
+  t.deepEqual(
+    cleanups.map((error) => error.cause),
+    [startError],
+    'opts.cleanup() was called',
+  )
+  t.deepEqual(service.state, { value: 'stopped' })
+
+  const cleanupError = new Error('CleanupError')
+  const failingCleanup = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+    async cleanup() {
+      throw cleanupError
+    },
+  })
+  await failingCleanup.start().catch(() => {})
+  try {
+    await failingCleanup[Symbol.asyncDispose]()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, cleanupError, 'rejects with the error from opts.cleanup()')
+  }
+})
+
+test('StartStopStateMachine.started() resolves with a started state machine', async (t) => {
+  const service = await StartStopStateMachine.started(
+    {
+      /** @param {number} n */
+      async start(n) {
+        return n * 2
+      },
+    },
+    21,
+  )
+  t.deepEqual(service.state, { value: 'started' })
+  t.equal(await service.started(), 42, 'started with the args')
+  await service[Symbol.asyncDispose]()
+
+  const startError = new Error('StartError')
+  let cleanedUp = false
+  try {
+    await StartStopStateMachine.started({
+      async start() {
+        throw startError
+      },
+      async cleanup() {
+        cleanedUp = true
+      },
+    })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError, 'rejects with the start error')
+  }
+  t.ok(cleanedUp, 'disposes of the failed state machine')
+})
+
+test('pause() and resume() call opts.pause() and opts.resume(), and calls coalesce', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  const service = new StartStopStateMachine({
+    async start() {
+      return 'result'
+    },
+    async pause() {
+      t.ok(this.signal instanceof AbortSignal, 'called with a signal')
+      calls.push('pause')
+      await nextTick()
+    },
+    async resume() {
+      calls.push('resume')
+      await nextTick()
+    },
+  })
+  await service.start()
+  /** @type {string[]} */
+  const states = []
+  service.on('state', (state) => states.push(state.value))
+  await Promise.all([service.pause(), service.pause()])
+  t.deepEqual(calls, ['pause'], 'coalesces with pause in progress')
+  t.deepEqual(service.state, { value: 'paused' })
+  await service.pause()
+  t.equal(await service.started(), 'result', 'started() resolves while paused')
+  t.equal(await service.start(), 'result', 'start() resolves while paused')
+  await Promise.all([service.resume(), service.resume()])
+  await service.resume()
+  t.deepEqual(calls, ['pause', 'resume'], 'only calls each once')
+  t.deepEqual(states, ['pausing', 'paused', 'resuming', 'started'])
+
+  service.pause()
+  t.equal(await service.start(), 'result', 'start() resolves while pausing')
+  await service.pause()
+  service.resume()
+  t.equal(await service.start(), 'result', 'start() resolves while resuming')
+})
+
+test('The last call wins: resume() while pausing aborts the pause, and pause() while resuming aborts the resume', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  /** @type {AbortSignal[]} */
+  const signals = []
+  const service = new StartStopStateMachine({
+    async pause() {
+      calls.push('pause')
+      signals.push(this.signal)
+      await nextTick()
+    },
+    async resume() {
+      calls.push('resume')
+      signals.push(this.signal)
+      await nextTick()
+    },
+  })
+  await service.start()
+  const pausing = service.pause()
+  const joined = service.pause()
+  await service.resume()
+  t.deepEqual(service.state, { value: 'started' }, 'returns to "started"')
+  for (const promise of [pausing, joined]) {
+    try {
+      await promise
+      t.fail('should not reach here')
+    } catch (e) {
+      t.equal(e.name, 'AbortError', 'pending calls reject with AbortError')
+    }
+  }
+  t.ok(signals[0].aborted, 'aborts the signal passed to opts.pause()')
+
+  await service.pause()
+  const resuming = service.resume()
+  const joinedResume = service.resume()
+  await service.pause()
+  t.deepEqual(service.state, { value: 'paused' }, 'returns to "paused"')
+  for (const promise of [resuming, joinedResume]) {
+    try {
+      await promise
+      t.fail('should not reach here')
+    } catch (e) {
+      t.equal(e.name, 'AbortError', 'pending calls reject with AbortError')
+    }
+  }
+  await nextTick()
+  t.deepEqual(service.state, { value: 'paused' }, 'aborted calls are ignored')
+  t.deepEqual(calls, ['pause', 'pause', 'resume'])
+})
+
+test('stop(), restart() and reload() wait for a pause or resume in progress, and stop() stops a paused service', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  const service = new StartStopStateMachine({
+    async start() {
+      calls.push('start')
+    },
+    async stop() {
+      calls.push('stop')
+    },
+    async reload() {
+      calls.push('reload')
+    },
+    async pause() {
+      calls.push('pause')
+      await nextTick()
+    },
+    async resume() {
+      calls.push('resume')
+      await nextTick()
+    },
+  })
+  await service.start()
+  await service.pause()
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' }, 'stops while paused')
+  t.deepEqual(calls, ['start', 'pause', 'stop'], 'without resuming first')
+
+  calls.length = 0
+  await service.start()
+  service.pause()
+  await service.stop()
+  await service.start()
+  await service.pause()
+  service.resume()
+  await service.stop()
+  t.deepEqual(calls, [
+    'start',
+    'pause',
+    'stop',
+    'start',
+    'pause',
+    'resume',
+    'stop',
+  ])
+
+  calls.length = 0
+  await service.start()
+  await service.pause()
+  await service.restart()
+  t.deepEqual(service.state, { value: 'started' }, 'restarts while paused')
+  service.pause()
+  await service.restart()
+  await service.pause()
+  service.resume()
+  await service.restart()
+  t.deepEqual(calls, [
+    'start',
+    'pause',
+    'stop',
+    'start',
+    'pause',
+    'stop',
+    'start',
+    'pause',
+    'resume',
+    'stop',
+    'start',
+  ])
+
+  calls.length = 0
+  await service.pause()
+  try {
+    await service.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot reload while paused/)
+  }
+  service.resume()
+  await service.reload()
+  service.pause()
+  try {
+    await service.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot reload while paused/, 'waits for the pause')
+  }
+  t.deepEqual(calls, ['pause', 'resume', 'reload', 'pause'])
+})
+
+test('pause() and resume() wait for other transitions, and reject if the service is stopped', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      await nextTick()
+    },
+    async stop() {
+      await nextTick()
+    },
+    async reload() {
+      await nextTick()
+    },
+    async pause() {},
+    async resume() {},
+  })
+  for (const method of /** @type {const} */ (['pause', 'resume'])) {
+    try {
+      await service[method]()
+      t.fail('should not reach here')
+    } catch (e) {
+      t.match(e.message, new RegExp(`Cannot ${method} while stopped`))
+    }
+  }
+  service.start()
+  await service.pause()
+  t.deepEqual(service.state, { value: 'paused' }, 'pause() waits for start')
+  service.restart()
+  await service.pause()
+  t.deepEqual(service.state, { value: 'paused' }, 'pause() waits for restart')
+  service.restart()
+  await service.resume()
+  t.deepEqual(service.state, { value: 'started' }, 'resume() waits too')
+  service.reload()
+  await service.pause()
+  await service.resume()
+  service.reload()
+  await service.resume()
+  t.deepEqual(service.state, { value: 'started' })
+  service.stop()
+  try {
+    await service.pause()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot pause while stopped/, 'pause() waits for stop')
+  }
+  service.start()
+  await service.resume()
+  t.deepEqual(service.state, { value: 'started' })
+  service.stop()
+  try {
+    await service.resume()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot resume while stopped/, 'resume() waits for stop')
+  }
+
+  const unsupported = new StartStopStateMachine()
+  await unsupported.start()
+  for (const method of /** @type {const} */ (['pause', 'resume'])) {
+    try {
+      await unsupported[method]()
+      t.fail('should not reach here')
+    } catch (e) {
+      t.match(e.message, new RegExp(`does not support ${method}`))
+    }
+  }
+  t.deepEqual(unsupported.state, { value: 'started' })
+})
+
+test('If opts.pause() or opts.resume() throws, the service moves to "error", or opts.recovery', async (t) => {
+  const pauseError = new Error('PauseError')
+  const resumeError = new Error('ResumeError')
+  /** @type {string[]} */
+  const transitions = []
+  const service = new StartStopStateMachine({
+    async pause() {
+      await nextTick()
+      throw pauseError
+    },
+    async resume() {},
+  })
+  service.use({
+    async onError(error, transition) {
+      transitions.push(transition)
+    },
+  })
+  await service.start()
+  const results = await Promise.allSettled([service.pause(), service.pause()])
+  t.deepEqual(
+    results.map(
+      (result) => result.status === 'rejected' && result.reason.cause,
+    ),
+    [pauseError, pauseError],
+    'pending calls reject with the error',
+  )
+  t.deepEqual(causeOf(service.state), { value: 'error', cause: pauseError })
+  t.deepEqual(transitions, ['pause'], 'calls onError hooks')
+  for (const method of /** @type {const} */ (['pause', 'resume', 'resumed'])) {
+    try {
+      await service[method]()
+      t.fail('should not reach here')
+    } catch (e) {
+      t.equal(e.cause, pauseError, `${method}() rejects in "error" state`)
+    }
+  }
+
+  const reverting = new StartStopStateMachine({
+    async pause() {
+      throw pauseError
+    },
+    async resume() {
+      throw resumeError
+    },
+    recovery: { pause: 'revert', resume: 'revert' },
+  })
+  await reverting.start()
+  try {
+    await reverting.pause()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, pauseError)
+  }
+  t.deepEqual(reverting.state, { value: 'started' }, 'reverts to "started"')
+  reverting._setState({ value: 'paused' })
+  try {
+    await reverting.resume()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, resumeError)
+  }
+  t.deepEqual(reverting.state, { value: 'paused' }, 'reverts to "paused"')
+})
+
+test('resumed() resolves once the service is started and not paused', async (t) => {
+  const service = new StartStopStateMachine({
+    async start() {
+      return 'result'
+    },
+    async pause() {},
+    async resume() {
+      await nextTick()
+    },
+  })
+  const resumed = service.resumed()
+  await service.start()
+  t.equal(await resumed, 'result', 'waits for start')
+  t.equal(await service.resumed(), 'result', 'resolves if started')
+  await service.pause()
+  let isResumed = false
+  const resuming = service.resumed().then((result) => {
+    isResumed = true
+    return result
+  })
+  await nextTick()
+  t.notOk(isResumed, 'waits while paused')
+  await service.resume()
+  t.equal(await resuming, 'result', 'resolves once resumed')
+})
+
+test('Health checks stop while the service is paused', async (t) => {
+  let checks = 0
+  const service = new StartStopStateMachine({
+    async pause() {},
+    async resume() {},
+    async healthCheck() {
+      checks++
+    },
+    health: { interval: 5 },
+  })
+  await service.start()
+  await service.pause()
+  const before = checks
+  await new Promise((res) => setTimeout(res, 30))
+  t.equal(checks, before, 'no checks while paused')
+  await service.resume()
+  await new Promise((res) => setTimeout(res, 30))
+  t.ok(checks > before, 'checks again once resumed')
+  await service.stop()
+})
+
+test('opts.concurrency: every policy ends in the state of the last call that resolved', async (t) => {
+  const targets = { start: 'started', stop: 'stopped', restart: 'started' }
+  /** @type {Array<'start' | 'stop' | 'restart'>} */
+  const calls = ['start', 'stop', 'restart', 'stop', 'start', 'restart']
+  for (const concurrency of /** @type {const} */ ([
+    'coalesce',
+    'latest-wins',
+    'reject-while-busy',
+    'serialize-all',
+  ])) {
+    const service = new StartStopStateMachine({
+      async start() {
+        await nextTick()
+      },
+      async stop() {
+        await nextTick()
+      },
+      concurrency,
+    })
+    const results = await Promise.allSettled(
+      calls.map((name) => service[name]()),
+    )
+    const last = results.findLastIndex(({ status }) => status === 'fulfilled')
+    t.equal(service.state.value, targets[calls[last]], concurrency)
+  }
+})
+
+test('opts.concurrency = "reject-while-busy": calls made during a transition reject with a BusyError', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  /** @type {() => void} */
+  let finishStart = () => {}
+  const service = new StartStopStateMachine({
+    async start() {
+      calls.push('start')
+      await new Promise((res) => (finishStart = res))
+    },
+    async stop() {
+      calls.push('stop')
+      await nextTick()
+    },
+    concurrency: 'reject-while-busy',
+  })
+  const starting = service.start()
+  for (const method of /** @type {const} */ ([
+    'start',
+    'stop',
+    'restart',
+    'reload',
+    'pause',
+    'resume',
+  ])) {
+    try {
+      await service[method]()
+      t.fail('should not reach here')
+    } catch (e) {
+      t.ok(e instanceof BusyError, `${method}() rejects with a BusyError`)
+      t.equal(e.transition, method)
+      t.equal(e.state, 'starting')
+    }
+  }
+  try {
+    await service.withOptions({}).stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof BusyError, 'withOptions() applies the policy')
+  }
+  try {
+    await service.acquire()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof BusyError, 'acquire() applies the policy')
+  }
+  t.equal(service.refCount, 0)
+  finishStart()
+  await starting
+  t.deepEqual(service.state, { value: 'started' })
+  await service.stop()
+  t.deepEqual(calls, ['start', 'stop'], 'rejected calls have no effect')
+})
+
+test('opts.concurrency = "serialize-all": calls run one at a time, in the order they were made', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  const service = new StartStopStateMachine({
+    /** @param {number} n */
+    async start(n) {
+      calls.push(`start ${n}`)
+      await nextTick()
+      return n
+    },
+    async stop() {
+      calls.push('stop')
+      await nextTick()
+    },
+    concurrency: 'serialize-all',
+  })
+  const results = await Promise.all([
+    service.start(1),
+    service.start(2),
+    service.stop(),
+    service.start(3),
+    service.restart(4),
+    service.withOptions({}).stop(),
+  ])
+  t.deepEqual(results, [1, 2, undefined, 3, 4, undefined])
+  t.deepEqual(
+    calls,
+    [
+      'start 1',
+      'stop',
+      'start 2',
+      'stop',
+      'start 3',
+      'stop',
+      'start 4',
+      'stop',
+    ],
+    'a start with different arguments restarts, and stop() waits for the start in progress instead of aborting it',
+  )
+  t.deepEqual(service.state, { value: 'stopped' })
+
+  const failing = new StartStopStateMachine({
+    async start() {
+      throw new Error('StartError')
+    },
+    recovery: { start: 'revert' },
+    concurrency: 'serialize-all',
+  })
+  const [started, stopped] = await Promise.allSettled([
+    failing.start(),
+    failing.stop(),
+  ])
+  t.equal(started.status, 'rejected')
+  t.equal(stopped.status, 'fulfilled', 'runs after a call that rejected')
+})
+
+test('opts.concurrency applies to the stops and restarts of health checks and disposal', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const service = new StartStopStateMachine({
+    name: 'db',
+    persistence: {
+      async save(name, snapshot) {
+        await sleep(50)
+        log.push(`saved ${snapshot.desired.value}`)
+      },
+      async load() {
+        return undefined
+      },
+    },
+    async start() {
+      log.push('start')
+    },
+    async stop() {
+      log.push('stop')
+    },
+    async healthCheck() {
+      throw new Error('Unhealthy')
+    },
+    health: { interval: 5, unhealthyAfter: 1, onUnhealthy: 'stop' },
+    concurrency: 'serialize-all',
+  })
+  await service.start()
+  await service.stopped()
+  t.deepEqual(
+    log,
+    ['start', 'saved started', 'stop'],
+    'a stop for a failed health check waits for the call in progress',
+  )
+
+  const queued = new StartStopStateMachine({
+    async start() {
+      await nextTick()
+      return 'db'
+    },
+    concurrency: 'serialize-all',
+  })
+  const starting = queued.start()
+  await queued[Symbol.asyncDispose]()
+  t.equal(await starting, 'db', 'disposal waits for the start in progress')
+  t.deepEqual(queued.state, { value: 'stopped' })
+
+  const busy = new StartStopStateMachine({ concurrency: 'reject-while-busy' })
+  const busyStarting = busy.start()
+  try {
+    await busy[Symbol.asyncDispose]()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof BusyError, 'disposal while busy rejects')
+  }
+  await busyStarting
+  await busy[Symbol.asyncDispose]()
+  t.deepEqual(busy.state, { value: 'stopped' })
+})
+
+test('opts.concurrency = "latest-wins": each call supersedes earlier calls that are waiting', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  /** @type {AbortSignal[]} */
+  const signals = []
+  const service = new StartStopStateMachine({
+    /** @param {number} n */
+    async start(n) {
+      calls.push(`start ${n}`)
+      signals.push(this.signal)
+      await nextTick()
+      return n
+    },
+    async stop() {
+      calls.push('stop')
+      await nextTick()
+    },
+    async reload() {
+      calls.push('reload')
+    },
+    concurrency: 'latest-wins',
+  })
+  const first = service.start(1)
+  t.equal(await service.start(2), 2, 'starts again with the latest args')
+  try {
+    await first
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError', 'the earlier start is aborted')
+  }
+  t.ok(signals[0].aborted)
+
+  const stopping = service.stop()
+  const waiting = [service.start(3), service.reload(), service.stop()]
+  t.equal(await service.restart(4), 4)
+  await stopping
+  for (const promise of waiting) {
+    try {
+      await promise
+      t.fail('should not reach here')
+    } catch (e) {
+      t.equal(e.name, 'AbortError', 'superseded calls reject')
+      t.match(e.message, /Superseded/)
+    }
+  }
+  t.deepEqual(
+    calls,
+    ['start 1', 'stop', 'start 2', 'stop', 'start 4'],
+    'the aborted start is stopped once it completes',
+  )
+
+  service.reload()
+  await service.reload()
+  t.deepEqual(calls.slice(5), ['reload', 'reload'], 'does not coalesce')
+  service.restart(5).catch(() => {})
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' }, 'stop() still wins')
+})
+
+test('opts.onArgsChange = "restart": start() with different arguments restarts the service', async (t) => {
+  /** @type {string[]} */
+  const calls = []
+  const service = new StartStopStateMachine({
+    /** @param {number} port */
+    async start(port) {
+      calls.push(`start ${port}`)
+      await nextTick()
+      return port
+    },
+    async stop() {
+      calls.push('stop')
+    },
+    onArgsChange: 'restart',
+  })
+  t.equal(service.startArgs, undefined, 'undefined until started')
+  t.equal(await service.start(1), 1)
+  t.equal(await service.start(1), 1, 'same arguments do nothing')
+  t.equal(await service.start(2), 2, 'restarts with the new arguments')
+  t.deepEqual(service.startArgs, [2])
+  t.deepEqual(calls, ['start 1', 'stop', 'start 2'])
+
+  await service.stop()
+  calls.length = 0
+  const results = await Promise.all([service.start(3), service.start(4)])
+  t.deepEqual(results, [3, 4], 'waits for a start in progress to finish')
+  t.deepEqual(calls, ['start 3', 'stop', 'start 4'])
+  t.deepEqual(service.startArgs, [4])
+})
+
+test('opts.onArgsChange = "reject": start() with different arguments rejects', async (t) => {
+  const service = new StartStopStateMachine({
+    /** @param {{ port: number }} config */
+    async start(config) {
+      return config.port
+    },
+    onArgsChange: 'reject',
+    argsEqual: ([a], [b]) => a.port === b.port,
+  })
+  await service.start({ port: 1 })
+  t.equal(await service.start({ port: 1 }), 1, 'uses opts.argsEqual')
+  try {
+    await service.start({ port: 2 })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot start with different arguments while started/)
+  }
+  t.deepEqual(service.state, { value: 'started' }, 'stays started')
+  t.deepEqual(service.startArgs, [{ port: 1 }])
+})
+
+test('opts.onArgsChange = "ignore" (default): start() resolves with the current start result', async (t) => {
+  const service = new StartStopStateMachine({
+    /** @param {number} n */
+    async start(n) {
+      return n
+    },
+  })
+  await service.start(1)
+  t.equal(await service.start(2), 1)
+  t.deepEqual(service.startArgs, [1])
+  await service.restart(3)
+  t.deepEqual(service.startArgs, [3], 'restart() sets the start arguments')
+  await service.stop()
+  t.deepEqual(service.startArgs, [3], 'keeps the last start arguments')
+})
+
+test('Failures reject with a StartError, StopError or TransitionError that wraps what was thrown as cause', async (t) => {
+  const startError = new Error('StartError')
+  const stopError = new Error('StopError')
+  const reloadError = new Error('ReloadError')
+  let fail = true
+  const service = new StartStopStateMachine({
+    /** @param {string} name */
+    async start(name) {
+      if (fail) throw startError
+      return name
+    },
+    async stop() {
+      throw stopError
+    },
+    async reload() {
+      throw reloadError
+    },
+  })
+  try {
+    await service.start('db')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StartError, 'StartError')
+    t.ok(e instanceof TransitionError, 'extends TransitionError')
+    t.equal(e.cause, startError)
+    t.equal(e.transition, 'start')
+    t.equal(e.message, 'Start failed: StartError')
+  }
+  const { timestamp, ...state } = /** @type {any} */ (service.state)
+  t.deepEqual(
+    state,
+    {
+      value: 'error',
+      error: state.error,
+      transition: 'start',
+      args: ['db'],
+    },
+    'the error state records the transition and its args',
+  )
+  t.ok(timestamp <= Date.now(), 'and when it failed')
+
+  await service.reset()
+  fail = false
+  await service.start('db')
+  await service.reload().catch(() => {})
+  t.ok(service.state.value === 'error' && service.state.transition, 'reload')
+  const reloadFailure = service.state.value === 'error' && service.state.error
+  t.ok(reloadFailure instanceof TransitionError, 'reload TransitionError')
+  t.notOk(reloadFailure instanceof StartError, 'not a StartError')
+  t.equal(reloadFailure && reloadFailure.message, 'Reload failed: ReloadError')
+
+  await service.reset()
+  await service.start('db')
+  await service.stop().catch(() => {})
+  try {
+    await service.start('db')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StopError, 'a later start() rejects with the StopError')
+    t.equal(e.cause, stopError)
+  }
+
+  const thrower = new StartStopStateMachine({
+    async start() {
+      throw 'oops'
+    },
+  })
+  try {
+    await thrower.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.message, 'Start failed: oops', 'wraps values that are not errors')
+    t.equal(e.cause, 'oops')
+  }
+})
+
+test('Emits "error" once for each failure', async (t) => {
+  const startError = new Error('StartError')
+  const service = new StartStopStateMachine({
+    async start() {
+      await nextTick()
+      throw startError
+    },
+  })
+  /** @type {Error[]} */
+  const errors = []
+  service.on('error', (error) => errors.push(error))
+  const results = await Promise.allSettled([service.start(), service.start()])
+  t.equal(errors.length, 1, 'once, even with several callers')
+  t.ok(errors[0] instanceof StartError)
+  t.equal(errors[0].cause, startError)
+  for (const result of results) {
+    t.equal(result.status === 'rejected' && result.reason, errors[0])
+  }
+  await service.start().catch(() => {})
+  t.equal(errors.length, 1, 'calls in the "error" state do not emit again')
+
+  const unwatched = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+  })
+  try {
+    await unwatched.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError, 'does not throw without "error" listeners')
+  }
+})
+
+test('Rejects with InvalidStateError or AbortError when a call cannot run', async (t) => {
+  const service = new StartStopStateMachine({ async reload() {} })
+  try {
+    await service.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof InvalidStateError, 'InvalidStateError')
+    t.equal(e.transition, 'reload')
+    t.equal(e.state, 'stopped')
+    t.equal(e.message, 'Cannot reload while stopped')
+  }
+  const starting = service.start()
+  await service.stop()
+  try {
+    await starting
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof AbortError, 'stop() while starting aborts start()')
+  }
+})
+
+test('opts.lazy: started(), resumed() and wrapped methods start the service with opts.lazy.args', async (t) => {
+  /** @type {string[][]} */
+  const starts = []
+  const service = new StartStopStateMachine({
+    /** @param {string[]} args */
+    async start(...args) {
+      starts.push(args)
+      return 'result'
+    },
+    lazy: { args: ['db'] },
+  })
+  t.equal(await service.started(), 'result', 'started() starts the service')
+  t.deepEqual(starts, [['db']], 'with opts.lazy.args')
+  await service.stop()
+  const stopping = service.stop()
+  t.equal(await service.resumed(), 'result', 'so does resumed()')
+  await stopping
+  t.deepEqual(starts, [['db'], ['db']], 'starts again once stopped')
+
+  const db = {
+    name: 'db',
+    query: service.wrap(
+      /**
+       * @this {{ name: string }}
+       * @param {string} sql
+       */
+      async function (sql) {
+        return `${this.name}: ${sql}`
+      },
+    ),
+  }
+  await service.stop()
+  t.equal(await db.query('SELECT 1'), 'db: SELECT 1', 'passes this and args')
+  t.deepEqual(service.state, { value: 'started' }, 'started by wrapped call')
+
+  const startError = new Error('StartError')
+  const failing = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+    lazy: true,
+  })
+  const query = failing.wrap(async () => t.fail('should not reach here'))
+  try {
+    await query()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError, 'rejects if the service fails to start')
+  }
+
+  const eager = new StartStopStateMachine()
+  const waiting = eager.wrap(async () => 'done')()
+  await nextTick()
+  t.deepEqual(eager.state, { value: 'stopped' }, 'not started without lazy')
+  await eager.start()
+  t.equal(await waiting, 'done', 'wrapped calls wait for start()')
+})
+
+test('opts.lazy.idleTimeout: stops the service once no wrapped calls have been in flight for the timeout', async (t) => {
+  let stops = 0
+  const service = new StartStopStateMachine({
+    async stop() {
+      stops++
+    },
+    lazy: { idleTimeout: 30 },
+  })
+  /** @type {() => void} */
+  let finish = () => {}
+  const call = service.wrap(
+    () => new Promise((res) => (finish = () => res(undefined))),
+  )
+  const pending = call()
+  await service.started()
+  await new Promise((res) => setTimeout(res, 50))
+  t.deepEqual(service.state, { value: 'started' }, 'not stopped mid-call')
+  finish()
+  await pending
+  await new Promise((res) => setTimeout(res, 15))
+  t.deepEqual(service.state, { value: 'started' }, 'timer restarts after calls')
+  await service.stopped()
+  t.equal(stops, 1, 'stops once idle')
+
+  await service.started()
+  const handle = await service.acquire()
+  await new Promise((res) => setTimeout(res, 50))
+  t.deepEqual(service.state, { value: 'started' }, 'handles keep it started')
+  await handle.release()
+  t.deepEqual(service.state, { value: 'stopped' })
+
+  await service.started()
+  await service[Symbol.asyncDispose]()
+  t.equal(stops, 3, 'disposing stops it as usual')
+})
+
+test('guard(): calls wait for started, and stop() waits for calls in flight before opts.stop()', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const service = new StartStopStateMachine({
+    async stop() {
+      log.push('stop')
+    },
+  })
+  /** @type {() => void} */
+  let finish = () => {}
+  const query = service.guard(
+    /** @param {string} sql */
+    async (sql) => {
+      log.push(`begin ${sql}`)
+      await new Promise((res) => (finish = () => res(undefined)))
+      log.push(`end ${sql}`)
+      return sql
+    },
+  )
+  const pending = query('SELECT 1')
+  await nextTick()
+  t.deepEqual(log, [], 'waits for the service to start')
+  await service.start()
+  await nextTick()
+  const stopping = service.stop()
+  await nextTick()
+  t.deepEqual(service.state, { value: 'stopping' })
+  try {
+    await query('SELECT 2')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof InvalidStateError, 'rejects while stopping')
+    t.equal(e.message, 'Cannot call while stopping')
+  }
+  const waiting = service.guard(async () => 'waited', {
+    whileStopping: 'wait',
+  })()
+  finish()
+  t.equal(await pending, 'SELECT 1')
+  await stopping
+  t.deepEqual(
+    log,
+    ['begin SELECT 1', 'end SELECT 1', 'stop'],
+    'opts.stop() is called once calls in flight have finished',
+  )
+  await service.start()
+  t.equal(await waiting, 'waited', 'whileStopping: "wait" waits for start')
+
+  await service.stop()
+  const resumed = query('SELECT 3')
+  /** @param {import('./index.js').ServiceState} state */
+  const stopOnStart = (state) => {
+    if (state.value !== 'started') return
+    service.off('state', stopOnStart)
+    service.stop()
+  }
+  service.on('state', stopOnStart)
+  await service.start()
+  try {
+    await resumed
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(
+      e instanceof InvalidStateError,
+      'checks again if the service stops before a waiting call resumes',
+    )
+  }
+})
+
+test('opts.drainTimeout: stops waiting for calls in flight, and emits a warning', async (t) => {
+  const service = new StartStopStateMachine({ drainTimeout: 20 })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  await service.start()
+  /** @type {() => void} */
+  let finish = () => {}
+  const call = service.guard(
+    () => new Promise((res) => (finish = () => res(undefined))),
+  )
+  const pending = call()
+  await nextTick()
+  await service.stop()
+  t.deepEqual(service.state, { value: 'stopped' })
+  t.equal(warnings.length, 1)
+  t.ok(warnings[0] instanceof TimeoutError)
+  t.equal(warnings[0].message, 'Timed out after 20ms waiting for drain')
+  finish()
+  await pending
+
+  await service.start()
+  await service.guard(async () => {})()
+  await service.stop()
+  t.equal(warnings.length, 1, 'no warning if calls finish in time')
+})
+
+test('StartStopStateMachine.guarded() decorates methods of subclasses', async (t) => {
+  class Database extends StartStopStateMachine {
+    /** @param {string} sql */
+    async query(sql) {
+      return `${this.state.value}: ${sql}`
+    }
+  }
+  Database.prototype.query = StartStopStateMachine.guarded()(
+    Database.prototype.query,
+  )
+  const db = new Database({ lazy: true })
+  t.equal(await db.query('SELECT 1'), 'started: SELECT 1')
+})
+
+test('Starts services in dependency order, in parallel where possible, and stops them in reverse', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const group = new ServiceGroup()
+    // Added out of order on purpose
+    .add('http', createService('http', log), { dependsOn: ['index', 'cache'] })
+    .add('index', createService('index', log), { dependsOn: ['db'] })
+    .add('db', createService('db', log))
+    .add('cache', createService('cache', log))
+
+  await group.start()
+  t.deepEqual(group.state, { value: 'started' })
+  t.deepEqual(
+    log,
+    [
+      'db starting',
+      'cache starting',
+      'db started',
+      'index starting',
+      'cache started',
+      'index started',
+      'http starting',
+      'http started',
+    ],
+    'starts each service after its dependencies',
+  )
+  for (const name of ['db', 'index', 'cache', 'http']) {
+    t.equal(group.get(name)?.state.value, 'started', `${name} is started`)
+  }
+
+  log.length = 0
+  await group.stop()
+  t.deepEqual(group.state, { value: 'stopped' })
+  t.deepEqual(
+    log,
+    [
+      'http stopping',
+      'http stopped',
+      'index stopping',
+      'cache stopping',
+      'index stopped',
+      'db stopping',
+      'cache stopped',
+      'db stopped',
+    ],
+    'stops each service after its dependents',
+  )
+})
+
+test('add() throws on dependency cycles', async (t) => {
+  const group = new ServiceGroup()
+    .add('a', new StartStopStateMachine(), { dependsOn: ['b'] })
+    .add('b', new StartStopStateMachine(), { dependsOn: ['c'] })
+  t.throws(
+    () => group.add('c', new StartStopStateMachine(), { dependsOn: ['a'] }),
+    /Dependency cycle: c -> a -> b -> c/,
+    'throws with the cycle',
+  )
+  t.throws(
+    () => group.add('d', new StartStopStateMachine(), { dependsOn: ['d'] }),
+    /Dependency cycle: d -> d/,
+    'throws if a service depends on itself',
+  )
+  t.equal(group.get('c'), undefined, 'service in a cycle is not added')
+  group.add('c', new StartStopStateMachine(), { dependsOn: ['d'] })
+  group.add('d', new StartStopStateMachine())
+  group.add('e', new StartStopStateMachine(), { dependsOn: ['a', 'b'] })
+  await group.start()
+  t.deepEqual(group.state, { value: 'started' }, 'starts without the cycle')
+})
+
+test('add() throws if the name is taken, or if the group is not stopped', async (t) => {
+  const group = new ServiceGroup().add('a', new StartStopStateMachine())
+  t.throws(
+    () => group.add('a', new StartStopStateMachine()),
+    /already been added/,
+    'throws if the name is taken',
+  )
+  await group.start()
+  t.throws(
+    () => group.add('b', new StartStopStateMachine()),
+    /while started/,
+    'throws if the group is started',
+  )
+})
+
+test('start() rejects if a service depends on a service that was never added', async (t) => {
+  const service = new StartStopStateMachine()
+  const group = new ServiceGroup().add('a', service, { dependsOn: ['b'] })
+  try {
+    await group.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /"a" depends on unknown service "b"/)
+  }
+  t.equal(group.state.value, 'error', 'group is in error state')
+  t.equal(service.state.value, 'stopped', 'service was not started')
+})
+
+test('If a service fails to start, the services that started are stopped and start() rejects', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const startError = new Error('StartError')
+  const group = new ServiceGroup({ recovery: { start: 'revert' } })
+    .add('db', createService('db', log))
+    .add('cache', createService('cache', log, { delay: 50 }))
+    .add(
+      'index',
+      createService('index', log, {
+        startError: () => startError,
+      }),
+      {
+        dependsOn: ['db'],
+      },
+    )
+    .add('http', createService('http', log), { dependsOn: ['index'] })
+  try {
+    await group.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, startError, 'start() rejects with the error')
+    t.equal(e.message, 'Start failed: StartError', 'is not wrapped twice')
+  }
+  t.deepEqual(group.state, { value: 'stopped' }, 'group reverted to stopped')
+  t.equal(group.get('index')?.state.value, 'error', 'failed service in error')
+  for (const name of ['db', 'cache', 'http']) {
+    t.equal(group.get(name)?.state.value, 'stopped', `${name} is stopped`)
+  }
+  t.deepEqual(
+    log,
+    [
+      'db starting',
+      'cache starting',
+      'db started',
+      'index starting',
+      'db stopping',
+      'db stopped',
+    ],
+    'aborts the in-flight start, then stops the started services',
+  )
+})
+
+test('A group can be started again after a service failed to start', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  let dbError = /** @type {Error | undefined} */ (new Error('db down'))
+  const group = new ServiceGroup()
+    .add('db', createService('db', log, { startError: () => dbError }))
+    .add('http', createService('http', log), { dependsOn: ['db'] })
+  try {
+    await group.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, dbError, 'the cause is the error of the service')
+  }
+  t.equal(group.get('db')?.state.value, 'error', 'failed service in error')
+  await group.reset()
+  dbError = undefined
+  await group.start()
+  t.deepEqual(group.state, { value: 'started' }, 'group started')
+  t.equal(group.get('db')?.state.value, 'started', 'failed service was reset')
+  await group.stop()
+  t.deepEqual(log, [
+    'db starting',
+    'db starting',
+    'db started',
+    'http starting',
+    'http started',
+    'http stopping',
+    'http stopped',
+    'db stopping',
+    'db stopped',
+  ])
+})
+
+test('Calling stop() on the group while it is starting stops the services that started', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const group = new ServiceGroup()
+    .add('db', createService('db', log))
+    .add('index', createService('index', log, { delay: 50 }), {
+      dependsOn: ['db'],
+    })
+    .add('http', createService('http', log), { dependsOn: ['index'] })
+  const startPromise = group.start().catch((e) => e)
+  await new Promise((res) => setTimeout(res, 20))
+  await group.stop()
+  for (const name of ['db', 'index', 'http']) {
+    t.equal(
+      group.get(name)?.state.value,
+      'stopped',
+      `${name} is stopped when stop() resolves`,
+    )
+  }
+  t.equal(log.at(-1), 'db stopped')
+  t.equal((await startPromise).name, 'AbortError', 'start() rejects')
+  t.deepEqual(group.state, { value: 'stopped' })
+
+  await group.start()
+  t.deepEqual(group.state, { value: 'started' })
+  for (const name of ['db', 'index', 'http']) {
+    t.equal(group.get(name)?.state.value, 'started', `${name} is started`)
+  }
+  t.deepEqual(
+    log,
+    [
+      'db starting',
+      'db started',
+      'index starting',
+      'db stopping',
+      'db stopped',
+      'db starting',
+      'db started',
+      'index starting',
+      'index started',
+      'http starting',
+      'http started',
+    ],
+    'rolls back before starting again',
+  )
+})
+
+test('Calling stop() on the group before its start begins does not start any services', async (t) => {
+  const service = new StartStopStateMachine()
+  const group = new ServiceGroup().add('a', service)
+  const startPromise = group.start().catch((e) => e)
+  // Called synchronously, before the group has started any services
+  await group.stop()
+  t.equal((await startPromise).name, 'AbortError', 'start() rejects')
+  t.equal(service.state.value, 'stopped', 'service was not started')
+})
+
+test('If a service fails to stop, the others still stop and stop() rejects with the error', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const stopError = new Error('StopError')
+  const group = new ServiceGroup()
+    .add('db', createService('db', log))
+    .add('index', createService('index', log, { stopError }), {
+      dependsOn: ['db'],
+    })
+    .add('http', createService('http', log), { dependsOn: ['index'] })
+  await group.start()
+  try {
+    await group.stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause.cause, stopError, 'stop() rejects with the error')
+  }
+  t.equal(group.state.value, 'error')
+  t.equal(
+    group.state.value === 'error' && group.state.error.cause?.cause,
+    stopError,
+    'the cause chain leads to the service error',
+  )
+  t.equal(group.get('http')?.state.value, 'stopped', 'http is stopped')
+  t.equal(group.get('index')?.state.value, 'error', 'index is in error')
+  t.equal(group.get('db')?.state.value, 'stopped', 'db is stopped')
+})
+
+test('Groups can be nested', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const storage = new ServiceGroup()
+    .add('db', createService('db', log))
+    .add('index', createService('index', log), { dependsOn: ['db'] })
+  const app = new ServiceGroup()
+    .add('storage', storage)
+    .add('http', createService('http', log), { dependsOn: ['storage'] })
+  await app.start()
+  t.deepEqual(storage.state, { value: 'started' }, 'nested group started')
+  await app.stop()
+  t.deepEqual(storage.state, { value: 'stopped' }, 'nested group stopped')
+  t.deepEqual(
+    log,
+    [
+      'db starting',
+      'db started',
+      'index starting',
+      'index started',
+      'http starting',
+      'http started',
+      'http stopping',
+      'http stopped',
+      'index stopping',
+      'index stopped',
+      'db stopping',
+      'db stopped',
+    ],
+    'nested group is started and stopped as a single service',
+  )
+})
+
+test('Stops services in reverse order on a signal, then exits with 0', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const process = new FakeProcess()
+  /** @type {import('./index.js').ShutdownResult[][]} */
+  const reports = []
+  const group = new ServiceGroup().add(
+    'index',
+    await startService(createService('index', log)),
+  )
+  await group.start()
+  gracefulShutdown(
+    {
+      db: await startService(createService('db', log)),
+      group,
+      http: await startService(createService('http', log)),
+    },
+    { process, onShutdown: (results) => reports.push(results) },
+  )
+  t.equal(process.listenerCount('SIGINT'), 1, 'listens for SIGINT')
+  t.equal(process.listenerCount('SIGTERM'), 1, 'listens for SIGTERM')
+  t.equal(process.listenerCount('beforeExit'), 1, 'listens for beforeExit')
+
+  log.length = 0
+  process.emit('SIGTERM', 'SIGTERM')
+  // A second signal does not stop the services again
+  process.emit('SIGINT', 'SIGINT')
+  await once(process, 'exit')
+  t.deepEqual(
+    log,
+    [
+      'http stopping',
+      'http stopped',
+      'index stopping',
+      'index stopped',
+      'db stopping',
+      'db stopped',
+    ],
+    'stops in reverse order',
+  )
+  t.deepEqual(group.state, { value: 'stopped' }, 'stops the group')
+  t.deepEqual(
+    reports,
+    [
+      [
+        { name: 'http', status: 'stopped' },
+        { name: 'group', status: 'stopped' },
+        { name: 'db', status: 'stopped' },
+      ],
+    ],
+    'reports the outcome for each service once',
+  )
+  t.deepEqual(process.exitCodes, [0], 'exits with 0')
+  for (const event of ['SIGINT', 'SIGTERM', 'beforeExit']) {
+    t.equal(process.listenerCount(event), 0, `removes ${event} listener`)
+  }
+})
+
+test('Exits with a non-zero code if a service fails to stop', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const process = new FakeProcess()
+  const stopError = new Error('StopError')
+  /** @type {import('./index.js').ShutdownResult[]} */
+  let report = []
+  gracefulShutdown(
+    {
+      db: await startService(createService('db', log)),
+      http: await startService(createService('http', log, { stopError })),
+    },
+    { process, onShutdown: (results) => (report = results) },
+  )
+  log.length = 0
+  process.emit('SIGINT', 'SIGINT')
+  await once(process, 'exit')
+  t.deepEqual(
+    log,
+    ['http stopping', 'db stopping', 'db stopped'],
+    'still stops the other services',
+  )
+  t.deepEqual(
+    report.map((result) =>
+      result.status === 'failed'
+        ? { ...result, error: result.error.cause }
+        : result,
+    ),
+    [
+      { name: 'http', status: 'failed', error: stopError },
+      { name: 'db', status: 'stopped' },
+    ],
+  )
+  t.deepEqual(process.exitCodes, [1], 'exits with 1')
+})
+
+test('Exits with opts.exitCode if opts.onShutdown throws', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const process = new FakeProcess()
+  const onShutdownError = new Error('onShutdown failed')
+  const { shutdown } = gracefulShutdown(
+    { db: await startService(createService('db', log)) },
+    {
+      process,
+      exitCode: 2,
+      onShutdown() {
+        throw onShutdownError
+      },
+    },
+  )
+  log.length = 0
+  process.emit('SIGTERM', 'SIGTERM')
+  await once(process, 'exit')
+  t.deepEqual(log, ['db stopping', 'db stopped'])
+  t.deepEqual(process.exitCodes, [2])
+  try {
+    await shutdown()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e, onShutdownError, 'shutdown() rejects with the error')
+  }
+})
+
+test('Services can be passed as [name, service] pairs, to keep their order', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const { shutdown } = gracefulShutdown(
+    [
+      ['2', await startService(createService('2', log))],
+      ['1', await startService(createService('1', log))],
+    ],
+    { process: new FakeProcess() },
+  )
+  log.length = 0
+  const results = await shutdown()
+  t.deepEqual(
+    log,
+    ['1 stopping', '1 stopped', '2 stopping', '2 stopped'],
+    'stops them in reverse order',
+  )
+  t.deepEqual(
+    results.map(({ name }) => name),
+    ['1', '2'],
+  )
+})
+
+test('Exits with opts.exitCode if the services do not stop before the deadline', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const process = new FakeProcess()
+  /** @type {import('./index.js').ShutdownResult[]} */
+  let report = []
+  const db = await startService(createService('db', log))
+  gracefulShutdown(
+    {
+      db,
+      cache: await startService(createService('cache', log)),
+      http: await startService(createService('http', log, { delay: 100 })),
+    },
+    {
+      process,
+      signals: ['SIGHUP'],
+      timeout: 50,
+      exitCode: 3,
+      onShutdown: (results) => (report = results),
+    },
+  )
+  t.equal(process.listenerCount('SIGINT'), 0, 'only listens for opts.signals')
+  process.emit('SIGHUP', 'SIGHUP')
+  await once(process, 'exit')
+  t.deepEqual(report, [
+    { name: 'http', status: 'timeout' },
+    { name: 'cache', status: 'timeout' },
+    { name: 'db', status: 'timeout' },
+  ])
+  t.deepEqual(process.exitCodes, [3], 'exits with opts.exitCode')
+  t.equal(db.state.value, 'started', 'did not wait to stop the others')
+})
+
+test('On beforeExit, only exits if a service fails to stop', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const ok = new FakeProcess()
+  const { shutdown } = gracefulShutdown(
+    { db: await startService(createService('db', log)) },
+    { process: ok },
+  )
+  ok.emit('beforeExit', 0)
+  const results = await shutdown()
+  t.deepEqual(results, [{ name: 'db', status: 'stopped' }])
+  await sleep(0)
+  t.deepEqual(ok.exitCodes, [], 'lets the process exit')
+
+  const failed = new FakeProcess()
+  gracefulShutdown(
+    {
+      db: await startService(
+        createService('db', log, { stopError: new Error() }),
+      ),
+    },
+    { process: failed },
+  )
+  failed.emit('beforeExit', 0)
+  await once(failed, 'exit')
+  t.deepEqual(failed.exitCodes, [1], 'exits with 1')
+
+  const ignored = new FakeProcess()
+  gracefulShutdown({}, { process: ignored, beforeExit: false })
+  t.equal(ignored.listenerCount('beforeExit'), 0, 'opts.beforeExit = false')
+})
+
+test('shutdown() stops the services without exiting, and remove() removes the listeners', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const process = new FakeProcess()
+  const { shutdown, remove } = gracefulShutdown(
+    { db: await startService(createService('db', log)) },
+    { process },
+  )
+  const results = await shutdown()
+  t.deepEqual(results, [{ name: 'db', status: 'stopped' }])
+  t.equal(await shutdown(), results, 'only shuts down once')
+  t.equal(process.listenerCount('SIGINT'), 0, 'removes listeners')
+  t.deepEqual(process.exitCodes, [], 'does not exit')
+
+  const other = new FakeProcess()
+  gracefulShutdown({}, { process: other }).remove()
+  t.equal(other.listenerCount('SIGTERM'), 0, 'remove() removes listeners')
+  remove()
+
+  // Defaults to the global process
+  const before = globalThis.process.listenerCount('SIGTERM')
+  const handle = gracefulShutdown({})
+  t.equal(globalThis.process.listenerCount('SIGTERM'), before + 1)
+  handle.remove()
+  t.equal(globalThis.process.listenerCount('SIGTERM'), before)
+})
+
+test('Runs transitions through their intermediate state, and resolves with the result', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const door = createDoor(log)
+  /** @type {string[]} */
+  const states = []
+  door.on('state', (state) => states.push(state.value))
+  t.deepEqual(door.state, { value: 'closed' }, 'begins in the initial state')
+  t.equal(await door.transition('open', 'alice'), 'alice', 'resolves result')
+  t.deepEqual(door.state, { value: 'open' })
+  t.equal(
+    await door.transition('open', 'bob'),
+    'alice',
+    'resolves with the last result if already in the target state',
+  )
+  await door.transition('refresh')
+  t.equal(
+    await door.transition('open'),
+    undefined,
+    'resolves undefined if another transition moved it to the state',
+  )
+  await door.transition('close')
+  t.deepEqual(log, ['open by alice', 'close'], 'only runs when needed')
+  t.deepEqual(states, [
+    'opening',
+    'open',
+    'refreshing',
+    'open',
+    'closing',
+    'closed',
+  ])
+})
+
+test('Calls to a transition in progress coalesce with it', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const door = createDoor(log, { history: 10 })
+  const results = await Promise.all([
+    door.transition('open', 'alice'),
+    door.transition('open', 'bob'),
+    door.transition('open', 'carol'),
+  ])
+  t.deepEqual(results, ['alice', 'alice', 'alice'])
+  t.deepEqual(log, ['open by alice'], 'run() is only called once')
+  t.deepEqual(
+    door.history.map(({ from, to, args, coalesced }) => ({
+      from,
+      to,
+      args,
+      coalesced,
+    })),
+    [
+      { from: 'closed', to: 'opening', args: ['alice'], coalesced: undefined },
+      { from: 'opening', to: 'open', args: undefined, coalesced: 2 },
+    ],
+    'history records the coalesced calls',
+  )
+})
+
+test('A transition to the same state as the one in progress resolves when it finishes', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const door = createDoor(log)
+  await door.transition('lock')
+  const unlocking = door.transition('unlock')
+  t.equal(door.state.value, 'unlocking')
+  await door.transition('close')
+  await unlocking
+  t.deepEqual(door.state, { value: 'closed' })
+  t.deepEqual(log, ['lock'], 'close does not run')
+})
+
+test('Calls to other transitions wait for the one in progress to finish', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const door = createDoor(log)
+  await door.transition('open')
+  const closing = door.transition('close')
+  await door.transition('lock')
+  await closing
+  t.deepEqual(door.state, { value: 'locked' })
+  t.deepEqual(log, ['open by someone', 'close', 'lock'])
+
+  await door.transition('unlock')
+  const opening = door.transition('open')
+  await door.transition('refresh')
+  t.equal(await opening, 'someone')
+  t.deepEqual(door.state, { value: 'open' }, 'refresh runs once open')
+
+  const refreshing = door.transition('refresh')
+  try {
+    await door.transition('lock')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot lock while open/, 'rejects if it cannot run')
+  }
+  await refreshing
+})
+
+test('The last call wins: undoing the transition in progress aborts it', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const door = createDoor(log, { delay: 100 })
+  const opening = door.transition('open')
+  const joined = door.transition('open')
+  await sleep(10)
+  await door.transition('close')
+  t.deepEqual(door.state, { value: 'closed' }, 'returns to the previous state')
+  for (const promise of [opening, joined]) {
+    try {
+      await promise
+      t.fail('should not reach here')
+    } catch (e) {
+      t.equal(e.name, 'AbortError', 'pending calls reject with AbortError')
+    }
+  }
+  t.deepEqual(log, ['open by someone'], 'close does not run')
+  await sleep(100)
+  t.deepEqual(door.state, { value: 'closed' }, 'aborted run() is ignored')
+})
+
+test('Undoing a transition that is not abortable waits for it to finish', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const door = createDoor(log)
+  await door.transition('open')
+  const closing = door.transition('close')
+  t.equal(await door.transition('open', 'alice'), 'alice')
+  await closing
+  t.deepEqual(log, ['open by someone', 'close', 'open by alice'])
+  t.deepEqual(door.state, { value: 'open' })
+})
+
+test('Calls made while the intermediate state is being emitted wait for it', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const door = createDoor(log)
+  /** @type {Promise<any> | undefined} */
+  let fromListener
+  door.on('state', (state) => {
+    if (state.value === 'opening') fromListener = door.transition('open')
+  })
+  t.equal(await door.transition('open', 'alice'), 'alice')
+  t.equal(await fromListener, 'alice')
+  t.deepEqual(log, ['open by alice'])
+})
+
+test('If run() throws, the machine is in the "error" state until reset()', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const openError = new Error('Jammed')
+  const door = createDoor(log, { openError })
+  try {
+    await door.transition('open')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e, openError, 'rejects with the error')
+  }
+  const { timestamp, ...state } = /** @type {any} */ (door.state)
+  t.deepEqual(
+    state,
+    { value: 'error', error: openError, transition: 'open', args: [] },
+    'records the transition that failed and its args',
+  )
+  t.ok(timestamp <= Date.now(), 'and when it failed')
+  /** @type {Error[]} */
+  const errors = []
+  door.on('error', (error) => errors.push(error))
+  await door.reset()
+  await door.transition('open').catch(() => {})
+  t.deepEqual(errors, [openError], 'emits "error" with what run() threw')
+  try {
+    await door.transition('lock')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e, openError, 'other transitions reject with the error')
+  }
+  await door.reset()
+  t.deepEqual(door.state, { value: 'closed' }, 'reset() returns to initial')
+  await door.reset()
+  t.deepEqual(door.state, { value: 'closed' }, 'reset() is a no-op')
+  await door.transition('lock')
+  try {
+    await door.reset()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot reset while locked/)
+  }
+})
+
+test('Rejects unknown transitions, and tables with unknown states', async (t) => {
+  const door = createDoor([])
+  try {
+    await door.transition('slam')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Unknown transition "slam"/)
+  }
+  t.throws(
+    () =>
+      new StateMachineEngine({
+        states: ['a', 'b'],
+        initial: 'a',
+        transitions: { go: { from: ['a'], via: 'going', to: 'b' } },
+      }),
+    /Transition "go" uses unknown state "going"/,
+  )
+})
+
+test('waitFor() and watch() use the transition table', async (t) => {
+  const door = createDoor([])
+  const opening = door.transition('open')
+  try {
+    await door.waitForState('closed', { ifMovingAway: 'reject' })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Service is opening/, 'opening leads to open')
+  }
+  const states = door.watch()
+  t.deepEqual((await states.next()).value, { value: 'opening' })
+  t.deepEqual(await door.waitForState('open'), { value: 'open' })
+  await opening
+  await door[Symbol.asyncDispose]()
+  t.deepEqual(
+    await states.next(),
+    { value: undefined, done: true },
+    'disposing ends watch() iterations',
+  )
+  t.deepEqual(door.toJSON(), { state: { value: 'open' }, history: [] })
+})
+
+test('StartStopStateMachine runs its own transitions by name', async (t) => {
+  const sm = new StartStopStateMachine({
+    /** @param {number} n */
+    async start(n) {
+      return n
+    },
+    async reload() {},
+  })
+  t.ok(sm instanceof StateMachineEngine)
+  t.equal(await sm.transition('start', 1), 1)
+  await sm.transition('reload')
+  t.equal(await sm.transition('restart', 2), 2)
+  await sm.transition('stop')
+  t.deepEqual(sm.state, { value: 'stopped' })
+  try {
+    await sm.transition('pause')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /does not support pause/)
+  }
+  try {
+    await sm.transition(/** @type {any} */ ('slam'))
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Unknown transition "slam"/)
+  }
+  const starting = sm.start(3)
+  t.deepEqual(
+    await sm.waitForState('stopped', { ifMovingAway: 'resolve' }),
+    { value: 'starting' },
+    'retrying and starting lead to started',
+  )
+  await starting
+})
+
+test('opts.transitions: custom transitions follow the rules of StateMachineEngine', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const sm = createDrainable(log)
+  await sm.start()
+  const draining = [sm.transition('drain'), sm.transition('drain')]
+  t.deepEqual(sm.state, { value: 'draining' })
+  await Promise.all(draining)
+  t.deepEqual(sm.state, { value: 'drained' }, 'calls coalesce')
+  t.equal(await sm.transition('drain'), undefined, 'resolves once drained')
+  await sm.transition('undrain')
+  t.deepEqual(sm.state, { value: 'started' })
+  const abandoned = sm.transition('drain').catch((e) => e)
+  await sm.transition('undrain')
+  t.ok((await abandoned) instanceof AbortError, 'the last call wins')
+  t.deepEqual(sm.state, { value: 'started' })
+  await sm.stop()
+  const starting = sm.start()
+  await sm.transition('drain')
+  t.deepEqual(sm.state, { value: 'drained' }, 'waits for the start first')
+  await starting
+  t.deepEqual(log, ['start', 'drain', 'drain', 'stop', 'start', 'drain'])
+})
+
+test('opts.transitions: built-in transitions wait for custom transitions, and custom states are started states', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const sm = createDrainable(log)
+  t.equal(await sm.start('db'), 'db')
+  const drained = sm.transition('drain')
+  t.equal(await sm.start('cache'), 'db', 'start() waits, then is started')
+  await drained
+  t.equal(await sm.started(), 'db')
+  await sm.transition('undrain')
+  const draining = sm.transition('drain')
+  const errors = await Promise.all(
+    ['reload', 'pause', 'resume'].map((method) =>
+      /** @type {any} */ (sm)[method]().catch((/** @type {any} */ e) => e),
+    ),
+  )
+  await draining
+  for (const [i, method] of ['reload', 'pause', 'resume'].entries()) {
+    t.ok(errors[i] instanceof InvalidStateError, `${method}() rejects`)
+    t.equal(errors[i].message, `Cannot ${method} while drained`)
+  }
+  await sm.transition('undrain')
+  const restarted = sm.transition('drain')
+  t.equal(await sm.restart('cache'), 'cache', 'restart() waits, then restarts')
+  await restarted
+  t.deepEqual(sm.state, { value: 'started' })
+  const stopped = sm.transition('drain')
+  await sm.stop()
+  await stopped
+  t.deepEqual(sm.state, { value: 'stopped' }, 'stop() waits, then stops')
+  t.deepEqual(log, [
+    'start',
+    'drain',
+    'drain',
+    'drain',
+    'stop',
+    'start',
+    'drain',
+    'stop',
+  ])
+})
+
+test('opts.transitions: failures move to "error" with a TransitionError, and transitions must use custom and started states', async (t) => {
+  const drainError = new Error('Connections still open')
+  const sm = createDrainable([], { drainError })
+  await sm.start()
+  try {
+    await sm.transition('drain')
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof TransitionError)
+    t.equal(e.message, 'Drain failed: Connections still open')
+    t.equal(e.cause, drainError)
+  }
+  t.equal(sm.state.value === 'error' && sm.state.transition, 'drain')
+  await sm.reset()
+  t.deepEqual(sm.state, { value: 'stopped' })
+  t.throws(
+    () =>
+      new StartStopStateMachine({
+        transitions: {
+          start: { from: ['stopped'], via: 'starting', to: 'started' },
+        },
+      }),
+    /Transition "start" is built in/,
+  )
+  for (const [from, via, to, state] of [
+    ['stopped', 'warming', 'warm', 'stopped'],
+    ['started', 'stopping', 'warm', 'stopping'],
+    ['started', 'warming', 'error', 'error'],
+  ]) {
+    t.throws(
+      () =>
+        new StartStopStateMachine({
+          states: ['warming', 'warm'],
+          transitions: { warm: { from: [from], via, to } },
+        }),
+      new RegExp(`Transition "warm" cannot use state "${state}"`),
+    )
+  }
+})
+
+test('opts.instrumentation is called for each transition and change of state, with timings', async (t) => {
+  /** @type {Array<[string, any]>} */
+  const log = []
+  const service = new StartStopStateMachine({
+    name: 'db',
+    instrumentation: createRecorder(log),
+    async start() {
+      await sleep(20)
+    },
+  })
+  t.equal(service.name, 'db')
+  await sleep(20)
+  await Promise.all([service.start('a'), service.start('b')])
+  t.deepEqual(
+    log.map(([kind, event]) => [kind, withoutTimes(event)]),
+    [
+      ['state', { service: 'db', from: 'stopped', to: 'starting' }],
+      [
+        'begin',
+        { service: 'db', transition: 'start', from: 'stopped', args: ['a'] },
+      ],
+      ['state', { service: 'db', from: 'starting', to: 'started' }],
+      [
+        'end',
+        { service: 'db', transition: 'start', to: 'started', coalesced: 1 },
+      ],
+    ],
+  )
+  const [stopped, , starting, end] = log.map(([, event]) => event)
+  t.ok(stopped.duration >= 15, 'state changes report time in the last state')
+  t.ok(starting.duration >= 15, 'including intermediate states')
+  t.ok(end.duration >= 15, 'transition end reports its duration')
+  t.equal(end.timestamp, starting.timestamp, 'timestamps match')
+})
+
+test('opts.instrumentation reports failures, inside and outside transitions', async (t) => {
+  /** @type {Array<[string, any]>} */
+  const log = []
+  const startError = new Error('StartError')
+  const cleanupError = new Error('CleanupError')
+  const service = new StartStopStateMachine({
+    instrumentation: createRecorder(log),
+    async start() {
+      throw startError
+    },
+    async cleanup() {
+      throw cleanupError
+    },
+  })
+  await service.start().catch(() => {})
+  const [, , , [kind, event]] = log
+  t.equal(kind, 'error', 'a failed transition does not end')
+  t.equal(event.service, undefined, 'no opts.name')
+  t.equal(event.transition, 'start')
+  t.equal(event.error.cause, startError)
+  t.equal(typeof event.duration, 'number')
+  t.equal(log.length, 4)
+
+  await service.reset().catch(() => {})
+  const errors = log.filter(([kind]) => kind === 'error').map(([, e]) => e)
+  t.equal(errors.length, 2)
+  t.equal(errors[1].transition, 'cleanup', 'transition of the error state')
+  t.equal(errors[1].error.cause, cleanupError)
+  t.equal(errors[1].duration, undefined, 'no duration outside a transition')
+})
+
+test('Errors thrown by opts.instrumentation are emitted as warnings', async (t) => {
+  const instrumentationError = new Error('InstrumentationError')
+  const service = new StartStopStateMachine({
+    instrumentation: {
+      onTransitionEnd() {
+        throw instrumentationError
+      },
+    },
+  })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  await service.start()
+  t.deepEqual(service.state, { value: 'started' }, 'the transition completes')
+  t.deepEqual(warnings, [instrumentationError])
+})
+
+test('StateMachineEngine reports the names of its transitions', async (t) => {
+  /** @type {Array<[string, any]>} */
+  const log = []
+  const door = new StateMachineEngine({
+    states: ['closed', 'opening', 'open'],
+    initial: 'closed',
+    transitions: { open: { from: ['closed'], via: 'opening', to: 'open' } },
+    name: 'door',
+    instrumentation: createRecorder(log),
+  })
+  await door.transition('open')
+  t.deepEqual(
+    log
+      .filter(([kind]) => kind !== 'state')
+      .map(([kind, { service, transition }]) => [kind, service, transition]),
+    [
+      ['begin', 'door', 'open'],
+      ['end', 'door', 'open'],
+    ],
+  )
+})
+
+test('diagnosticsChannelInstrumentation publishes each event to a diagnostics channel', async (t) => {
+  const startError = new Error('StartError')
+  let fail = false
+  const service = new StartStopStateMachine({
+    name: 'db',
+    instrumentation: diagnosticsChannelInstrumentation,
+    async start() {
+      if (fail) throw startError
+    },
+  })
+  await service.start()
+  await service.stop()
+  /** @type {Array<[string, any]>} */
+  const published = []
+  /** @type {Array<[string, (message: unknown) => void]>} */
+  const subscriptions = Object.entries(channels).map(([kind, name]) => {
+    /** @param {unknown} message */
+    const onMessage = (message) => published.push([kind, message])
+    diagnosticsChannel.subscribe(name, onMessage)
+    return [name, onMessage]
+  })
+  await service.start()
+  fail = true
+  await service.restart().catch(() => {})
+  for (const [name, onMessage] of subscriptions) {
+    diagnosticsChannel.unsubscribe(name, onMessage)
+  }
+  t.deepEqual(
+    published.map(([kind, { from, to, transition }]) => [
+      kind,
+      transition ?? `${from} -> ${to}`,
+    ]),
+    [
+      ['onStateChange', 'stopped -> starting'],
+      ['onTransitionBegin', 'start'],
+      ['onStateChange', 'starting -> started'],
+      ['onTransitionEnd', 'start'],
+      ['onStateChange', 'started -> restarting'],
+      ['onTransitionBegin', 'restart'],
+      ['onStateChange', 'restarting -> error'],
+      ['onTransitionError', 'restart'],
+    ],
+  )
+  t.equal(published[0][1].service, 'db', 'with the service name')
+  t.equal(published[7][1].error.cause, startError)
+  t.equal(channels.onTransitionEnd, 'start-stop-state-machine:transition:end')
+})
+
+test('Starts children in order and stops them in reverse', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const supervisor = new Supervisor()
+    .add('db', createService('db', log))
+    .add('http', createService('http', log))
+  await supervisor.start()
+  await supervisor.stop()
+  t.deepEqual(log, [
+    'db starting',
+    'db started',
+    'http starting',
+    'http started',
+    'http stopping',
+    'http stopped',
+    'db stopping',
+    'db stopped',
+  ])
+  t.equal(supervisor.get('db')?.state.value, 'stopped')
+  t.equal(supervisor.get('nope'), undefined)
+  try {
+    supervisor.add('db', createService('db', log))
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Child "db" has already been added/)
+  }
+  await supervisor.start()
+  try {
+    supervisor.add('cache', createService('cache', log))
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof InvalidStateError, 'cannot add while started')
+  }
+  await supervisor.stop()
+})
+
+test('one-for-one: restarts only the child that failed', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const db = createService('db', log)
+  const supervisor = new Supervisor()
+    .add('db', db)
+    .add('http', createService('http', log))
+  await supervisor.start()
+  log.length = 0
+  await db.crash()
+  await settled(supervisor, ['db', 'http'])
+  t.deepEqual(
+    log,
+    ['db starting', 'db started'],
+    'resets and starts the child in "error"',
+  )
+  t.deepEqual(supervisor.state, { value: 'started' })
+  await supervisor.stop()
+})
+
+test('one-for-all: restarts every child', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const db = createService('db', log)
+  const http = createService('http', log)
+  const cache = createService('cache', log)
+  const supervisor = new Supervisor({ strategy: 'one-for-all' })
+    .add('db', db)
+    .add('http', http)
+    .add('cache', cache)
+  await supervisor.start()
+  log.length = 0
+  await http.crash()
+  await settled(supervisor, ['db', 'http', 'cache'])
+  t.deepEqual(log, [
+    'cache stopping',
+    'cache stopped',
+    'db stopping',
+    'db stopped',
+    'db starting',
+    'db started',
+    'http starting',
+    'http started',
+    'cache starting',
+    'cache started',
+  ])
+
+  log.length = 0
+  await http.crash()
+  await cache.waitForState('stopping')
+  await db.crash()
+  await settled(supervisor, ['db', 'http', 'cache'])
+  t.deepEqual(
+    log,
+    [
+      'cache stopping',
+      'cache stopped',
+      'db starting',
+      'db started',
+      'http starting',
+      'http started',
+      'cache starting',
+      'cache started',
+    ],
+    'a child that fails during a restart is restarted with the others',
+  )
+  await supervisor.stop()
+})
+
+test('rest-for-one: restarts the child that failed and those added after it', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const http = createService('http', log)
+  const supervisor = new Supervisor({ strategy: 'rest-for-one' })
+    .add('db', createService('db', log))
+    .add('http', http)
+    .add('cache', createService('cache', log))
+  await supervisor.start()
+  log.length = 0
+  await http.crash()
+  await settled(supervisor, ['db', 'http', 'cache'])
+  t.deepEqual(log, [
+    'cache stopping',
+    'cache stopped',
+    'http starting',
+    'http started',
+    'cache starting',
+    'cache started',
+  ])
+  await supervisor.stop()
+})
+
+test('Restarts children that become unhealthy', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  let healthy = true
+  const db = new StartStopStateMachine({
+    async start() {
+      log.push('db started')
+    },
+    async stop() {
+      log.push('db stopped')
+    },
+    async healthCheck() {
+      if (!healthy) throw new Error('Unhealthy')
+    },
+    health: { interval: 5, unhealthyAfter: 2 },
+  })
+  const supervisor = new Supervisor().add('db', db)
+  await supervisor.start()
+  healthy = false
+  await db.waitForState('unhealthy')
+  healthy = true
+  await db.waitForState('stopping')
+  await db.waitForState('started')
+  t.deepEqual(log, ['db started', 'db stopped', 'db started'])
+  await supervisor.stop()
+})
+
+test('Escalates to "error" after too many restarts, and can be reset', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const startError = new Error('StartError')
+  let failing = false
+  const db = createService('db', log, {
+    startError: () => (failing ? startError : undefined),
+  })
+  const supervisor = new Supervisor({
+    intensity: { maxRestarts: 2, period: 1000 },
+  })
+    .add('db', db)
+    .add('http', createService('http', log))
+  /** @type {Error[]} */
+  const errors = []
+  supervisor.on('error', (error) => errors.push(error))
+  await supervisor.start()
+  failing = true
+  log.length = 0
+  await db.crash()
+  await supervisor.waitForState('error')
+  t.pass('gives up')
+  t.equal(errors.length, 1, 'emits "error" once')
+  const [error] = errors
+  t.ok(error instanceof RestartIntensityError)
+  t.equal(
+    error.message,
+    'Child "db" failed after 2 restarts in 1000ms',
+    'names the child',
+  )
+  t.equal(
+    /** @type {RestartIntensityError} */ (error).cause?.cause,
+    startError,
+    'wraps the error of the child',
+  )
+  t.equal(
+    supervisor.state.value === 'error' && supervisor.state.transition,
+    'supervision',
+  )
+  t.deepEqual(
+    log,
+    ['db starting', 'db starting', 'http stopping', 'http stopped'],
+    'stops the other children after the restarts fail',
+  )
+  t.equal(db.state.value, 'error')
+
+  failing = false
+  await supervisor.reset()
+  await supervisor.start()
+  t.equal(db.state.value, 'started', 'resets children in "error" on start')
+  await supervisor.stop()
+})
+
+test('Restarts are counted within opts.intensity.period', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const db = createService('db', log)
+  const supervisor = new Supervisor({
+    intensity: { maxRestarts: 1, period: 20 },
+  }).add('db', db)
+  await supervisor.start()
+  await db.crash()
+  await settled(supervisor, ['db'])
+  await sleep(30)
+  await db.crash()
+  await settled(supervisor, ['db'])
+  t.deepEqual(supervisor.state, { value: 'started' }, 'not escalated')
+  await supervisor.stop()
+})
+
+test('Supervisors can be nested, and restart supervisors that give up', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const db = createService('db', log)
+  const inner = new Supervisor({ intensity: { maxRestarts: 0 } }).add('db', db)
+  const outer = new Supervisor()
+    .add('inner', inner)
+    .add('http', createService('http', log))
+  await outer.start()
+  log.length = 0
+  await db.crash()
+  await inner.waitForState('error')
+  await inner.waitForState('started')
+  await settled(outer, ['inner', 'http'])
+  t.deepEqual(
+    log,
+    ['db starting', 'db started'],
+    'the outer supervisor restarts the inner',
+  )
+  t.equal(db.state.value, 'started')
+  await outer.stop()
+  t.equal(db.state.value, 'stopped', 'stops the whole tree')
+})
+
+test('If a child fails to start, the children that started are stopped and start() rejects', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const startError = new Error('StartError')
+  const supervisor = new Supervisor()
+    .add('db', createService('db', log))
+    .add('http', createService('http', log, { startError: () => startError }))
+  try {
+    await supervisor.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause.cause, startError)
+  }
+  t.deepEqual(log, [
+    'db starting',
+    'db started',
+    'http starting',
+    'db stopping',
+    'db stopped',
+  ])
+  t.equal(supervisor.get('http')?.state.value, 'error', 'not restarted')
+
+  const stopping = new Supervisor()
+    .add('db', createService('db', log))
+    .add('http', createService('http', log))
+  const starting = stopping.start().catch((e) => e)
+  await stopping.get('db')?.waitForState('started')
+  await stopping.stop()
+  for (const name of ['db', 'http']) {
+    t.equal(
+      stopping.get(name)?.state.value,
+      'stopped',
+      `an aborted start stops ${name} before stop() resolves`,
+    )
+  }
+  t.equal((await starting).name, 'AbortError')
+})
+
+test('If a child fails to stop, the others still stop and stop() rejects', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const stopError = new Error('StopError')
+  const supervisor = new Supervisor()
+    .add(
+      'db',
+      new StartStopStateMachine({
+        async stop() {
+          throw stopError
+        },
+      }),
+    )
+    .add('http', createService('http', log))
+  await supervisor.start()
+  try {
+    await supervisor.stop()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause.cause, stopError)
+  }
+  t.deepEqual(log, [
+    'http starting',
+    'http started',
+    'http stopping',
+    'http stopped',
+  ])
+})
+
+test('snapshot() describes the desired and actual state', async (t) => {
+  const startError = new Error('StartError')
+  let fail = false
+  const service = new StartStopStateMachine({
+    name: 'db',
+    /** @param {string} url */
+    async start(url) {
+      if (fail) throw startError
+      return url
+    },
+  })
+  const { timestamp, ...snapshot } = service.snapshot()
+  t.deepEqual(snapshot, {
+    name: 'db',
+    desired: { value: 'stopped' },
+    state: { value: 'stopped' },
+    startArgs: undefined,
+  })
+  t.ok(timestamp <= Date.now(), 'and when it was taken')
+
+  const starting = service.start('a')
+  t.deepEqual(
+    service.snapshot().desired,
+    { value: 'started', args: ['a'] },
+    'records the desired state when start() is called',
+  )
+  t.deepEqual(service.snapshot().state, { value: 'starting' })
+  await starting
+
+  fail = true
+  await service.restart('b').catch(() => {})
+  const failed = service.snapshot()
+  const { desired, state, startArgs } = failed
+  t.deepEqual(desired, { value: 'started', args: ['b'] })
+  t.deepEqual(startArgs, ['b'])
+  t.equal(state.value, 'error')
+  t.deepEqual(
+    state.value === 'error' && state.error,
+    { name: 'StartError', message: 'Start failed: StartError' },
+    'with the error reduced to its name and message',
+  )
+  t.deepEqual(JSON.parse(JSON.stringify(failed)), failed, 'can be serialized')
+})
+
+test('opts.persistence saves the desired state on every start(), restart() or stop()', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const persistence = memoryPersistence(log)
+  const service = new StartStopStateMachine({ name: 'db', persistence })
+  await service.start()
+  await service.restart()
+  await service.stop()
+  await service.withOptions({}).start()
+  await service.withOptions({ persist: false }).stop()
+  await service.withOptions({ persist: false }).start()
+  await service.withOptions({ persist: false }).restart()
+  await service.withOptions({ timeout: 100 }).restart()
+  await service.withOptions({}).stop()
+  t.deepEqual(log, [
+    'db started',
+    'db started',
+    'db stopped',
+    'db started',
+    'db started',
+    'db stopped',
+  ])
+  t.throws(
+    () => new StartStopStateMachine({ persistence }),
+    /opts.persistence requires opts.name/,
+  )
+})
+
+test('Only calls that run, and not automatic starts and stops, are saved', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  const busy = new StartStopStateMachine({
+    name: 'busy',
+    persistence: memoryPersistence(log),
+    concurrency: 'reject-while-busy',
+  })
+  const starting = busy.start()
+  await busy.stop().catch(() => {})
+  await starting
+  t.deepEqual(log, ['busy started'], 'not a call rejected with a BusyError')
+  t.deepEqual(busy.snapshot().desired, { value: 'started', args: [] })
+
+  log.length = 0
+  const service = new StartStopStateMachine({
+    name: 'db',
+    persistence: memoryPersistence(log),
+    lazy: { idleTimeout: 10 },
+  })
+  const handle = await service.acquire()
+  await handle.release()
+  await service.started()
+  await service.waitForState('stopped')
+  t.deepEqual(log, [], 'not acquire(), release() or opts.lazy')
+  t.deepEqual(service.snapshot().desired, { value: 'stopped' })
+})
+
+test('Calls settle once the desired state has been saved', async (t) => {
+  /** @type {string[]} */
+  const log = []
+  /** @type {import('./index.js').PersistenceAdapter} */
+  const persistence = {
+    async save(name, snapshot) {
+      await sleep(20)
+      log.push(`${name} ${snapshot.desired.value}`)
+    },
+    async load() {
+      return undefined
+    },
+  }
+  const service = new StartStopStateMachine({ name: 'db', persistence })
+  await service.start()
+  t.deepEqual(log, ['db started'], 'start() waits for the save')
+  await service.stop()
+  t.deepEqual(log, ['db started', 'db stopped'], 'stop() waits for the save')
+
+  const failing = new StartStopStateMachine({
+    name: 'cache',
+    persistence,
+    async start() {
+      throw new Error('StartError')
+    },
+  })
+  await failing.start().catch(() => {})
+  t.equal(log.at(-1), 'cache started', 'even if the call fails')
+})
+
+test('restore() brings services back to their desired state', async (t) => {
+  const persistence = memoryPersistence()
+  /** @type {string[]} */
+  const log = []
+  /** @param {string} name */
+  const createPersistedService = (name) =>
+    new StartStopStateMachine({
+      name,
+      persistence,
+      /** @param {string} url */
+      async start(url) {
+        log.push(`${name} ${url}`)
+      },
+    })
+  const db = createPersistedService('db')
+  const cache = createPersistedService('cache')
+  await db.start('a')
+  await cache.start('b')
+  await cache.stop()
+
+  const [db2, cache2, index2] = ['db', 'cache', 'index'].map(
+    createPersistedService,
+  )
+  await Promise.all([db2, cache2, index2].map((service) => service.restore()))
+  t.deepEqual(db2.state, { value: 'started' })
+  t.deepEqual(db2.startArgs, ['a'], 'with the same arguments')
+  t.deepEqual(cache2.state, { value: 'stopped' }, 'stays stopped')
+  t.deepEqual(index2.state, { value: 'stopped' }, 'nothing saved')
+  t.deepEqual(log, ['db a', 'cache b', 'db a'])
+
+  try {
+    await new StartStopStateMachine().restore()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.match(e.message, /Cannot restore without opts.persistence/)
+  }
+})
+
+test('restore() brings a group back to its desired state', async (t) => {
+  const persistence = memoryPersistence()
+  const createGroup = () =>
+    new ServiceGroup({ name: 'app', persistence })
+      .add('db', new StartStopStateMachine())
+      .add('http', new StartStopStateMachine(), { dependsOn: ['db'] })
+  await createGroup().start()
+  const group = createGroup()
+  await group.restore()
+  t.deepEqual(group.state, { value: 'started' })
+  t.deepEqual(group.get('http')?.state, { value: 'started' })
+})
+
+test('gracefulShutdown() does not change the desired state', async (t) => {
+  const persistence = memoryPersistence()
+  const service = new StartStopStateMachine({ name: 'db', persistence })
+  await service.start()
+  const process = { on() {}, off() {}, exit() {} }
+  await gracefulShutdown({ db: service }, { process }).shutdown()
+  t.deepEqual(service.state, { value: 'stopped' })
+  t.deepEqual(service.snapshot().desired, { value: 'started', args: [] })
+})
+
+test('filePersistence() saves snapshots in a JSON file', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'start-stop-state-machine-'))
+  const filePath = path.join(dir, 'services.json')
+  const persistence = filePersistence(filePath)
+  const db = new StartStopStateMachine({ name: 'db', persistence })
+  const cache = new StartStopStateMachine({ name: 'cache', persistence })
+  t.equal(await persistence.load('db'), undefined, 'no file yet')
+  await db.start('a')
+  await cache.start()
+  await cache.stop()
+  await db.withOptions({ persist: false }).stop()
+  // Resolves once the saves queued before it have been written
+  await persistence.load('db')
+
+  const saved = JSON.parse(await readFile(filePath, 'utf8'))
+  t.deepEqual(Object.keys(saved), ['db', 'cache'])
+  t.deepEqual(saved.db.desired, { value: 'started', args: ['a'] })
+  t.deepEqual(saved.cache.desired, { value: 'stopped' })
+
+  const reloaded = filePersistence(filePath)
+  const db2 = new StartStopStateMachine({ name: 'db', persistence: reloaded })
+  await db2.restore()
+  t.deepEqual(db2.state, { value: 'started' })
+  t.deepEqual(db2.startArgs, ['a'])
+  await reloaded.load('db')
+  await rm(dir, { recursive: true })
+})
+
+test('Failures to save are emitted as warnings', async (t) => {
+  // Reading a directory as the file fails
+  const dir = await mkdtemp(path.join(tmpdir(), 'start-stop-state-machine-'))
+  const persistence = filePersistence(dir)
+  const service = new StartStopStateMachine({ name: 'db', persistence })
+  /** @type {Error[]} */
+  const warnings = []
+  service.on('warning', (warning) => warnings.push(warning))
+  await service.start()
+  t.deepEqual(service.state, { value: 'started' }, 'the call still succeeds')
+  await persistence.load('db').catch(() => {})
+  t.equal(warnings.length, 1)
+  t.equal(/** @type {NodeJS.ErrnoException} */ (warnings[0]).code, 'EISDIR')
+  await rm(dir, { recursive: true })
+})
+
+test('The client forwards calls to the host and mirrors its state', async (t) => {
+  const sm = new StartStopStateMachine({
+    /** @param {string} url */
+    async start(url) {
+      return url
+    },
+    async pause() {},
+    async resume() {},
+  })
+  await sm.start('a')
+  const { client, close } = await connect(sm)
+  t.deepEqual(client.state, { value: 'started' }, 'has the current state')
+  /** @type {string[]} */
+  const states = []
+  client.on('state', (state) => states.push(state.value))
+
+  t.equal(await client.started(), 'a', 'started() resolves the start result')
+  await client.stop()
+  t.deepEqual(client.state, { value: 'stopped' }, 'state is updated by then')
+  await client.stopped()
+  t.equal(await client.start('b'), 'b')
+  t.equal(await client.restart('c'), 'c')
+  t.deepEqual(sm.startArgs, ['c'], 'with the arguments')
+  await client.pause()
+  const resumed = client.resumed()
+  await client.resume()
+  await resumed
+  await client.reload().catch(() => {})
+  await sm.stop()
+  await client.stopped()
+  t.deepEqual(states, [
+    'stopping',
+    'stopped',
+    'starting',
+    'started',
+    'restarting',
+    'started',
+    'pausing',
+    'paused',
+    'resuming',
+    'started',
+    'stopping',
+    'stopped',
+  ])
+  close()
+})
+
+test('Errors are rebuilt on the client with their stack and cause', async (t) => {
+  const listenError = new Error('Address in use')
+  const startError = new Error('Listen failed', { cause: listenError })
+  /** @type {unknown} */
+  let thrown = startError
+  const sm = new StartStopStateMachine({
+    async start() {
+      throw thrown
+    },
+    async reload() {},
+  })
+  const { client, close } = await connect(sm)
+  /** @type {Error[]} */
+  const errors = []
+  client.on('error', (error) => errors.push(error))
+  try {
+    await client.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StartError, 'as instances of the error classes')
+    t.ok(e instanceof Error)
+    t.equal(e.name, 'StartError')
+    t.equal(e.message, 'Start failed: Listen failed')
+    t.equal(e.transition, 'start', 'with their properties')
+    t.equal(e.stack, sm.state.value === 'error' && sm.state.error.stack)
+    t.equal(e.cause.message, 'Listen failed')
+    t.equal(e.cause.stack, startError.stack)
+    t.equal(e.cause.cause.message, 'Address in use')
+    t.equal(e.cause.cause.stack, listenError.stack)
+  }
+  t.equal(client.state.value, 'error')
+  t.equal(
+    client.state.value === 'error' && client.state.error.message,
+    'Start failed: Listen failed',
+    'the error state has the error',
+  )
+  t.equal(errors.length, 1, 'emits "error"')
+  t.ok(errors[0] instanceof StartError)
+
+  await client.reset()
+  thrown = 'oops'
+  try {
+    await client.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.cause, 'oops', 'values that are not errors are kept')
+  }
+  await client.reset()
+
+  try {
+    await client.reload()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof InvalidStateError)
+    t.equal(e.state, 'stopped')
+  }
+  close()
+})
+
+test('started() with a signal only stops the client waiting', async (t) => {
+  const sm = new StartStopStateMachine()
+  const { client, close } = await connect(sm)
+  const controller = new AbortController()
+  const started = client.started({ signal: controller.signal })
+  controller.abort()
+  try {
+    await started
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'AbortError')
+  }
+  await client.start()
+  await client.stop()
+  close()
+})
+
+test('close() rejects calls that are waiting for the host', async (t) => {
+  const sm = new StartStopStateMachine()
+  const { client, host, close } = await connect(sm)
+  host.close()
+  const starting = client.start()
+  client.close()
+  try {
+    await starting
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof AbortError)
+  }
+  await sm.start()
+  t.deepEqual(client.state, { value: 'stopped' }, 'the host stops posting')
+  close()
+})
+
+test('Unknown methods and results that cannot be posted reject', async (t) => {
+  const sm = new StartStopStateMachine({
+    async start() {
+      return () => {}
+    },
+  })
+  const { client, port1, port2, close } = await connect(sm)
+  try {
+    await client.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'DataCloneError')
+  }
+  t.deepEqual(sm.state, { value: 'started' })
+
+  /** @type {any[]} */
+  const replies = []
+  port2.on('message', (message) => replies.push(message))
+  port1.postMessage(null)
+  port2.postMessage(null)
+  port2.postMessage({ hello: 'world' })
+  port2.postMessage({
+    channel: 'start-stop-state-machine',
+    type: 'call',
+    id: 100,
+    method: 'constructor',
+    args: [],
+  })
+  await client.stop()
+  const reply = replies.find((message) => message?.id === 100)
+  t.equal(reply.error.error.message, 'Unknown method "constructor"')
+  t.deepEqual(
+    client.state,
+    { value: 'stopped' },
+    'other messages and unknown replies are ignored',
+  )
+
+  const unsynced = new RemoteStateMachine(new MessageChannel().port1)
+  t.deepEqual(unsynced.state, { value: 'stopped' }, 'before connecting')
+  unsynced.close()
+  close()
+})
+
+test('Errors that cannot be posted are posted without their properties, or as plain errors', async (t) => {
+  const listenError = Object.assign(new Error('Listen failed'), {
+    code: 'EADDRINUSE',
+    retry() {},
+  })
+  /** @type {unknown} */
+  let thrown = listenError
+  const sm = new StartStopStateMachine({
+    async start() {
+      throw thrown
+    },
+    retry: { maxAttempts: 2, initialDelay: 1 },
+  })
+  const { client, close } = await connect(sm)
+  /** @type {Error[]} */
+  const warnings = []
+  sm.on('warning', (warning) => warnings.push(warning))
+  /** @type {Error[]} */
+  const retryErrors = []
+  client.on('state', (state) => {
+    if (state.value === 'retrying') retryErrors.push(state.error)
+  })
+  try {
+    await client.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StartError, 'the call still rejects on the client')
+    t.equal(e.message, 'Start failed: Listen failed')
+    t.equal(e.cause.message, 'Listen failed', 'with its cause')
+    t.equal(e.cause.stack, listenError.stack)
+    t.equal(e.cause.code, undefined, 'without the properties')
+  }
+  t.equal(client.state.value, 'error', 'the error state is posted too')
+  await client.reset()
+
+  // A cause that is not an error, and cannot be cloned
+  thrown = { retry() {} }
+  try {
+    await client.start()
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StartError, 'as a plain error')
+    t.equal(e.message, 'Start failed: [object Object]')
+    t.equal(e.stack, sm.state.value === 'error' && sm.state.error.stack)
+    t.equal(e.cause, undefined, 'without its cause')
+  }
+  t.equal(client.state.value, 'error')
+  t.deepEqual(
+    retryErrors.map(({ name, message }) => ({ name, message })),
+    [
+      { name: 'Error', message: 'Listen failed' },
+      { name: 'Error', message: '[object Object]' },
+    ],
+    'values that are not errors are posted as plain errors',
+  )
+  t.deepEqual(warnings, [], 'the host does not crash or warn')
+  close()
+})
+
+test('States and calls that cannot be posted do not break the host or client', async (t) => {
+  const startError = new Error('StartError')
+  const sm = new StartStopStateMachine({
+    async start() {
+      throw startError
+    },
+  })
+  const { client, close } = await connect(sm)
+  /** @type {Error[]} */
+  const warnings = []
+  sm.on('warning', (warning) => warnings.push(warning))
+  const errored = new Promise((res) => client.once('error', res))
+  try {
+    await sm.start({ onReady() {} })
+    t.fail('should not reach here')
+  } catch (e) {
+    t.ok(e instanceof StartError, 'the host rejects with the StartError')
+  }
+  await errored
+  t.equal(client.state.value, 'error')
+  t.deepEqual(
+    client.state.value === 'error' && client.state.args,
+    [],
+    'the state is posted without its arguments',
+  )
+  t.deepEqual(warnings, [])
+
+  try {
+    await client.start(() => {})
+    t.fail('should not reach here')
+  } catch (e) {
+    t.equal(e.name, 'DataCloneError', 'a call that cannot be posted rejects')
+  }
+  close()
+
+  const broken = new StartStopStateMachine({
+    async start() {
+      if (fail) throw startError
+    },
+  })
+  let fail = false
+  const port = {
+    postMessage() {
+      throw new Error('Port closed')
+    },
+    on() {},
+    off() {},
+  }
+  const host = hostStateMachine(broken, port)
+  broken.on('warning', (warning) => warnings.push(warning))
+  await broken.start()
+  t.deepEqual(broken.state, { value: 'started' }, 'the host still starts')
+  t.deepEqual(
+    warnings.map((warning) => warning.message),
+    ['Port closed', 'Port closed'],
+    'states that cannot be posted are emitted as warnings',
+  )
+  await broken.stop()
+  fail = true
+  warnings.length = 0
+  await broken.start().catch(() => {})
+  t.deepEqual(
+    warnings.map((warning) => warning.message),
+    ['Port closed', 'Port closed'],
+    'one for each state, including the error state',
+  )
+  host.close()
+})
+
+/**
+ * Replace the error of an "error" state with what the failed transition threw,
+ * and leave out the context of the failure, to compare with `t.deepEqual()`
+ *
+ * @param {import('./index.js').ServiceState} state
+ */
+function causeOf(state) {
+  if (state.value !== 'error') return state
+  return { value: 'error', cause: /** @type {any} */ (state.error).cause }
+}
+
+async function nextTick() {
+  return new Promise((res) => process.nextTick(res))
+}
+
+/**
+ * Resolve the next time `service` moves to a state with `value`
+ *
+ * @param {StartStopStateMachine<any, any, any>} service
+ * @param {string} value
+ * @returns {Promise<void>}
+ */
+async function nextState(service, value) {
+  return new Promise((res) => {
+    /** @param {import('./index.js').ServiceState} state */
+    const onState = (state) => {
+      if (state.value !== value) return
+      service.off('state', onState)
+      res()
+    }
+    service.on('state', onState)
+  })
+}
+
+/**
+ * @param {any} entry A history entry or instrumentation event
+ * @returns {any} The entry without `timestamp` and `duration`, which vary
+ */
+function withoutTimes(entry) {
+  const copy = { ...entry }
+  delete copy.timestamp
+  delete copy.duration
+  return copy
+}
+
+/**
+ * Create a service that records in `log` when it begins and finishes each
+ * start and stop, e.g. `'db starting'` then `'db started'`. A start waits
+ * `opts.delay` milliseconds, unless it is aborted first. Call `crash()` to move
+ * it to the "error" state.
+ *
+ * @param {string} name
+ * @param {string[]} log
+ * @param {Object} [opts]
+ * @param {number} [opts.delay]
+ * @param {() => Error | undefined} [opts.startError] Called on each start, to fail it
+ * @param {Error} [opts.stopError]
+ */
+function createService(
+  name,
+  log,
+  { delay = 10, startError = () => undefined, stopError } = {},
+) {
+  const service = new StartStopStateMachine({
+    async start() {
+      log.push(`${name} starting`)
+      await sleep(delay, undefined, { signal: this.signal })
+      const error = startError()
+      if (error) throw error
+      log.push(`${name} started`)
+    },
+    async stop() {
+      log.push(`${name} stopping`)
+      await sleep(delay)
+      if (stopError) throw stopError
+      log.push(`${name} stopped`)
+    },
+    async reload() {
+      throw new Error(`${name} crashed`)
+    },
+  })
+  return Object.assign(service, {
+    crash: () => service.reload().catch(() => {}),
+  })
+}
+
+/**
+ * @template {StartStopStateMachine<any, any, any>} T
+ * @param {T} service
+ * @returns {Promise<T>} `service`, once it has started
+ */
+async function startService(service) {
+  await service.start()
+  return service
+}
+
+/** A fake `process` that records exit codes instead of exiting */
+class FakeProcess extends EventEmitter {
+  /** @type {number[]} */
+  exitCodes = []
+
+  /** @param {number} code */
+  exit(code) {
+    this.exitCodes.push(code)
+    this.emit('exit', code)
+  }
+}
+
+/**
+ * Create a door that records each transition it runs in `log`
+ *
+ * @param {string[]} log
+ * @param {Object} [opts]
+ * @param {number} [opts.delay]
+ * @param {Error} [opts.openError]
+ * @param {number} [opts.history]
+ */
+function createDoor(log, { delay = 10, openError, history } = {}) {
+  return new StateMachineEngine({
+    states: [
+      'closed',
+      'opening',
+      'open',
+      'closing',
+      'refreshing',
+      'locking',
+      'locked',
+      'unlocking',
+    ],
+    initial: 'closed',
+    transitions: {
+      open: {
+        from: ['closed'],
+        via: 'opening',
+        to: 'open',
+        abortable: true,
+        /** @param {string} [who] */
+        async run(who = 'someone') {
+          log.push(`open by ${who}`)
+          await sleep(delay, undefined, { signal: this.signal })
+          if (openError) throw openError
+          return who
+        },
+      },
+      close: {
+        from: ['open'],
+        via: 'closing',
+        to: 'closed',
+        async run() {
+          log.push('close')
+          await sleep(delay)
+        },
+      },
+      refresh: { from: ['open'], via: 'refreshing', to: 'open' },
+      lock: {
+        from: ['closed'],
+        via: 'locking',
+        to: 'locked',
+        async run() {
+          log.push('lock')
+          await sleep(delay)
+        },
+      },
+      unlock: { from: ['locked'], via: 'unlocking', to: 'closed' },
+    },
+    history,
+  })
+}
+
+/**
+ * A service with custom "drain" and "undrain" transitions, that logs each
+ * call to `opts.start()`, `opts.stop()` and the run of "drain"
+ *
+ * @param {string[]} log
+ * @param {{ drainError?: Error }} [opts]
+ */
+function createDrainable(log, { drainError } = {}) {
+  return new StartStopStateMachine({
+    /** @param {string} [name] */
+    async start(name = 'db') {
+      log.push('start')
+      await sleep(10, undefined, { signal: this.signal })
+      return name
+    },
+    async stop() {
+      log.push('stop')
+      await sleep(10)
+    },
+    async reload() {},
+    async pause() {},
+    async resume() {},
+    states: ['draining', 'drained', 'undraining'],
+    transitions: {
+      drain: {
+        from: ['started', 'degraded', 'unhealthy'],
+        via: 'draining',
+        to: 'drained',
+        abortable: true,
+        async run() {
+          log.push('drain')
+          await sleep(10, undefined, { signal: this.signal })
+          if (drainError) throw drainError
+        },
+      },
+      undrain: { from: ['drained'], via: 'undraining', to: 'started' },
+    },
+  })
+}
+
+/**
+ * Instrumentation that records each callback and its event in `log`
+ *
+ * @param {Array<[string, any]>} log
+ * @returns {import('./index.js').Instrumentation}
+ */
+function createRecorder(log) {
+  return {
+    onTransitionBegin: (event) => log.push(['begin', event]),
+    onTransitionEnd: (event) => log.push(['end', event]),
+    onTransitionError: (event) => log.push(['error', event]),
+    onStateChange: (event) => log.push(['state', event]),
+  }
+}
+
+/**
+ * Resolve once `supervisor` has no restarts in progress, and every child is
+ * started, or the supervisor is in the "error" state.
+ *
+ * @param {Supervisor} supervisor
+ * @param {string[]} names
+ */
+async function settled(supervisor, names) {
+  while (true) {
+    await sleep(5)
+    if (supervisor.state.value === 'error') return
+    if (names.every((name) => supervisor.get(name)?.state.value === 'started'))
+      return
+  }
+}
+
+/**
+ * A `PersistenceAdapter` that keeps snapshots in memory, and records the
+ * desired state of each save in `log`
+ *
+ * @param {string[]} [log]
+ * @returns {import('./index.js').PersistenceAdapter}
+ */
+function memoryPersistence(log = []) {
+  /** @type {Map<string, import('./index.js').ServiceSnapshot>} */
+  const snapshots = new Map()
+  return {
+    async save(name, snapshot) {
+      log.push(`${name} ${snapshot.desired.value}`)
+      snapshots.set(name, snapshot)
+    },
+    async load(name) {
+      return snapshots.get(name)
+    },
+  }
+}
+
+/**
+ * Host `sm` on one port of a `MessageChannel`, and connect a client to the
+ * other
+ *
+ * @template {Array<any>} TStartArgs
+ * @template TStartResult
+ * @param {StartStopStateMachine<TStartArgs, [], TStartResult>} sm
+ */
+async function connect(sm) {
+  const { port1, port2 } = new MessageChannel()
+  const host = hostStateMachine(sm, port1)
+  /** @type {RemoteStateMachine<TStartArgs, [], TStartResult>} */
+  const client = await RemoteStateMachine.connect(port2)
+  const close = () => {
+    client.close()
+    host.close()
+    port1.close()
+  }
+  return { client, host, port1, port2, close }
 }